@@ -5,6 +5,10 @@ import './styles.css';
 // State
 // ─────────────────────────────────────────────────────────────────────────────
 let manifest = null;
+let brandManifests = new Map(); // brand id -> Promise of its brand manifest
+let loadedBrands = new Map(); // brand id -> brand
+let versionIndex = null;
+let currentVersion = null;
 let fuse = null;
 let allAssets = [];
 let filteredAssets = [];
@@ -12,68 +16,18 @@ let selectedBrands = new Set();
 let selectedTypes = new Set();
 let previewBg = 'checkerboard'; // 'checkerboard', 'light', 'dark'
 let currentAsset = null;
-
-const BASE_URLS = {
-    github: 'https://codefuturist.github.io/static-assets/',
-    jsdelivr: 'https://cdn.jsdelivr.net/gh/codefuturist/static-assets@main/site/'
-};
+let currentFile = null;
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Initialization
 // ─────────────────────────────────────────────────────────────────────────────
 async function init() {
-    // Load manifest
+    // Load the version index (optional) and the selected version's manifest
     try {
-        const res = await fetch('assets-manifest.json');
-        manifest = await res.json();
-
-        // Flatten assets for search
-        allAssets = [];
-        for (const brand of manifest.brands) {
-            for (const assetType of brand.assetTypes) {
-                for (const asset of assetType.assets) {
-                    allAssets.push({
-                        ...asset,
-                        brandId: brand.id,
-                        brandName: brand.name,
-                        brandTags: brand.tags || [],
-                        brandAliases: brand.aliases || [],
-                        assetType: assetType.type
-                    });
-                }
-            }
-        }
-
-        // Initialize Fuse.js
-        fuse = new Fuse(allAssets, {
-            keys: [
-                { name: 'displayName', weight: 0.35 },
-                { name: 'name', weight: 0.25 },
-                { name: 'tags', weight: 0.2 },
-                { name: 'aliases', weight: 0.2 },
-                { name: 'description', weight: 0.1 },
-                { name: 'usage', weight: 0.05 },
-                { name: 'brandName', weight: 0.15 },
-                { name: 'brandTags', weight: 0.05 },
-                { name: 'brandAliases', weight: 0.05 },
-                { name: 'assetType', weight: 0.05 },
-                { name: 'id', weight: 0.05 },
-                { name: 'brandId', weight: 0.02 }
-            ],
-            threshold: 0.4,
-            ignoreLocation: true,
-            minMatchCharLength: 2
-        });
-
-        // Setup filters
-        setupFilters();
-
-        // Initial render
-        filterAndRender();
-
-        // Hide loading
-        document.getElementById('loadingState').classList.add('hidden');
-
+        versionIndex = await fetch('versions.json').then(res => res.ok ? res.json() : null).catch(() => null);
+        setupVersionSelect();
+        selectedBrands = new Set(new URLSearchParams(location.search).getAll('brand'));
+        await loadManifest(currentVersion);
     } catch (err) {
         console.error('Failed to load manifest:', err);
         document.getElementById('loadingState').innerHTML = `
@@ -115,18 +69,164 @@ async function init() {
     });
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Versions
+// ─────────────────────────────────────────────────────────────────────────────
+function setupVersionSelect() {
+    const versions = versionIndex?.versions || [];
+    const requested = new URLSearchParams(location.search).get('version');
+    currentVersion = versions.some(v => v.id === requested) ? requested : versionIndex?.default || null;
+
+    // Only worth showing when there is something to switch to
+    if (versions.length < 2) return;
+
+    const select = document.getElementById('versionSelect');
+    select.innerHTML = versions.map(v => `
+        <option value="${escapeHtml(v.id)}"${v.id === currentVersion ? ' selected' : ''}>${escapeHtml(v.id)}${v.id === versionIndex.default ? ' (default)' : ''}</option>
+    `).join('');
+    select.classList.remove('hidden');
+    select.addEventListener('change', () => switchVersion(select.value));
+}
+
+async function switchVersion(version) {
+    currentVersion = version;
+    const url = new URL(location.href);
+    if (version === versionIndex.default) url.searchParams.delete('version');
+    else url.searchParams.set('version', version);
+    history.replaceState(null, '', url);
+
+    // Brands and types differ between versions, so filters start over
+    selectedBrands.clear();
+    selectedTypes.clear();
+    updateBrandParam();
+    closeModal();
+    await loadManifest(version);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Manifests
+// ─────────────────────────────────────────────────────────────────────────────
+
+// The root manifest only lists the brands; their assets are in brand manifests
+async function loadManifest(version) {
+    const entry = versionIndex?.versions.find(v => v.id === version);
+    const res = await fetch(entry ? entry.manifest : 'assets-manifest.json');
+    manifest = await res.json();
+    brandManifests = new Map();
+    loadedBrands = new Map();
+
+    // Brands from the URL that this version doesn't have
+    selectedBrands = new Set([...selectedBrands].filter(id => manifest.brands.some(b => b.id === id)));
+
+    // Setup filters
+    setupFilters();
+
+    await loadBrands();
+
+    // Initial render
+    filterAndRender();
+
+    // Hide loading
+    document.getElementById('loadingState').classList.add('hidden');
+}
+
+function loadBrandManifest(summary) {
+    // The maps of this version, even if another one is selected before the request ends
+    const requests = brandManifests;
+    const loaded = loadedBrands;
+    if (!requests.has(summary.id)) {
+        const request = fetch(summary.manifest)
+            .then(res => {
+                if (!res.ok) throw new Error(`${summary.manifest}: ${res.status}`);
+                return res.json();
+            })
+            .then(brandManifest => {
+                loaded.set(summary.id, brandManifest.brand);
+            })
+            .catch(err => {
+                // Retried the next time the brand is needed
+                requests.delete(summary.id);
+                throw err;
+            });
+        requests.set(summary.id, request);
+    }
+    return requests.get(summary.id);
+}
+
+// Fetch the brand manifests the current filters need (the selected brands,
+// or every brand when none is selected) and index their assets for search
+async function loadBrands() {
+    const current = manifest;
+    const needed = manifest.brands.filter(b => selectedBrands.size === 0 || selectedBrands.has(b.id));
+
+    await Promise.all(needed.map(loadBrandManifest));
+    // Another version was selected in the meantime
+    if (current !== manifest) return;
+
+    // Flatten assets for search
+    allAssets = [];
+    for (const brand of manifest.brands.map(b => loadedBrands.get(b.id)).filter(Boolean)) {
+        for (const assetType of brand.assetTypes) {
+            for (const asset of assetType.assets) {
+                allAssets.push({
+                    ...asset,
+                    brandId: brand.id,
+                    brandName: brand.name,
+                    brandTags: brand.tags || [],
+                    brandAliases: brand.aliases || [],
+                    assetType: assetType.type
+                });
+            }
+        }
+    }
+
+    // Initialize Fuse.js
+    fuse = new Fuse(allAssets, {
+        keys: [
+            { name: 'displayName', weight: 0.35 },
+            { name: 'name', weight: 0.25 },
+            { name: 'tags', weight: 0.2 },
+            { name: 'aliases', weight: 0.2 },
+            { name: 'description', weight: 0.1 },
+            { name: 'usage', weight: 0.05 },
+            { name: 'brandName', weight: 0.15 },
+            { name: 'brandTags', weight: 0.05 },
+            { name: 'brandAliases', weight: 0.05 },
+            { name: 'assetType', weight: 0.05 },
+            { name: 'id', weight: 0.05 },
+            { name: 'brandId', weight: 0.02 }
+        ],
+        threshold: 0.4,
+        ignoreLocation: true,
+        minMatchCharLength: 2
+    });
+}
+
+// Selected brands are kept in the URL, so a link to one brand only loads its manifest
+function updateBrandParam() {
+    const url = new URL(location.href);
+    url.searchParams.delete('brand');
+    selectedBrands.forEach(id => url.searchParams.append('brand', id));
+    history.replaceState(null, '', url);
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Filters
 // ─────────────────────────────────────────────────────────────────────────────
 function setupFilters() {
     const brandFilters = document.getElementById('brandFilters');
     const typeFilters = document.getElementById('typeFilters');
+    brandFilters.innerHTML = '';
+    typeFilters.innerHTML = '';
 
+    // From the root manifest, before any brand manifest is loaded
     const brands = manifest?.brands || [];
-    const types = [...new Set(allAssets.map(a => a.assetType))].sort();
+    const types = [...new Set(brands.flatMap(b => b.assetTypes))].sort();
 
     brands.forEach(brand => {
         const btn = createFilterChip(brand.id, brand.name, 'brand');
+        btn.title = `${brand.counts.assets} asset${brand.counts.assets !== 1 ? 's' : ''}`;
+        updateChipStyle(btn, selectedBrands.has(brand.id));
         brandFilters.appendChild(btn);
     });
 
@@ -146,7 +246,7 @@ function createFilterChip(value, label, filterType) {
 
     updateChipStyle(btn, false);
 
-    btn.addEventListener('click', () => {
+    btn.addEventListener('click', async () => {
         const set = filterType === 'brand' ? selectedBrands : selectedTypes;
         if (set.has(value)) {
             set.delete(value);
@@ -155,6 +255,10 @@ function createFilterChip(value, label, filterType) {
             set.add(value);
             updateChipStyle(btn, true);
         }
+        if (filterType === 'brand') {
+            updateBrandParam();
+            await loadBrands().catch(err => console.error('Failed to load brand manifest:', err));
+        }
         filterAndRender();
     });
 
@@ -230,13 +334,31 @@ function renderAssets() {
     grid.innerHTML = filteredAssets.map(asset => createAssetCard(asset)).join('');
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// CDN Providers
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Providers from the manifest (configured in assets.config.json). Manifests
+// without a `cdn` section only list `baseUrls`.
+function getCdnProviders() {
+    return manifest.cdn?.providers
+        || Object.entries(manifest.baseUrls).map(([id, baseUrl]) => ({ id, name: id, baseUrl }));
+}
+
+// Previews load from the default provider
+function getPreviewUrl(file) {
+    const providers = getCdnProviders();
+    const provider = providers.find(p => p.id === manifest.cdn?.default) || providers[0];
+    return provider.baseUrl + file.path;
+}
+
 function createAssetCard(asset) {
     const previewFile = asset.files.find(f => f.format === 'svg')
         || asset.files.find(f => f.format === 'png' && f.size === 128)
         || asset.files.find(f => f.format === 'png')
         || asset.files[0];
 
-    const previewUrl = BASE_URLS.github + previewFile.path;
+    const previewUrl = getPreviewUrl(previewFile);
     const bgClass = getPreviewBgClass();
 
     const title = asset.displayName || asset.name;
@@ -255,6 +377,7 @@ function createAssetCard(asset) {
                     alt="${escapeHtml(title)}"
                     class="max-w-full max-h-full object-contain transition-transform group-hover:scale-105"
                     loading="lazy"
+                    ${getPlaceholderAttrs(asset, previewFile)}
                 >
                 
                 <!-- Quick actions overlay -->
@@ -275,22 +398,47 @@ function createAssetCard(asset) {
                     ${asset.formats.map(f => `
                         <span class="px-2 py-0.5 text-xs font-medium text-white rounded badge-${f}">${f.toUpperCase()}</span>
                     `).join('')}
+                    ${asset.animated ? '<span class="px-2 py-0.5 text-xs font-medium text-white rounded badge-animated">ANIMATED</span>' : ''}
                 </div>
                 
                 <!-- Sizes -->
                 <p class="text-xs text-gray-400 dark:text-gray-500 mt-2">
-                    ${asset.sizes.length > 0 ? `${asset.sizes.length} sizes (${asset.sizes[0]}–${asset.sizes[asset.sizes.length - 1]}px)` : 'Vector'}
+                    ${asset.sizes.length > 0 ? `${asset.sizes.length} sizes (${asset.sizes[0]}–${asset.sizes[asset.sizes.length - 1]}px)` : 'Vector'}${asset.crops?.length ? ` • ${asset.crops.length} crops (${asset.crops.map(crop => escapeHtml(crop.aspectRatio)).join(', ')})` : ''}
                 </p>
             </div>
         </div>
     `;
 }
 
-function clearAllFilters() {
+/**
+ * Size and blurred LQIP background so the card shows the image's shape and
+ * colours until it has loaded. The background is dropped on load so it can't
+ * show through transparent pixels.
+ */
+function getPlaceholderAttrs(asset, previewFile) {
+    const placeholder = asset.placeholder;
+    if (!placeholder) return '';
+
+    const size = previewFile.width && previewFile.height
+        ? `width="${previewFile.width}" height="${previewFile.height}"`
+        : '';
+    const style = [
+        `background-image:url('${placeholder.lqip}')`,
+        'background-size:contain',
+        'background-repeat:no-repeat',
+        'background-position:center',
+        ...(placeholder.hasAlpha || !placeholder.dominantColor ? [] : [`background-color:${placeholder.dominantColor}`]),
+    ].join(';');
+    return `${size} style="${style}" onload="this.style.background='none'"`;
+}
+
+async function clearAllFilters() {
     selectedBrands.clear();
     selectedTypes.clear();
+    updateBrandParam();
     document.getElementById('searchInput').value = '';
     document.querySelectorAll('button[data-filter-type]').forEach(btn => updateChipStyle(btn, false));
+    await loadBrands().catch(err => console.error('Failed to load brand manifest:', err));
     filterAndRender();
 }
 
@@ -368,6 +516,7 @@ function closeModal() {
     document.getElementById('modal').classList.add('hidden');
     document.body.style.overflow = '';
     currentAsset = null;
+    currentFile = null;
 }
 
 function updateModalUrls() {
@@ -377,41 +526,68 @@ function updateModalUrls() {
     const sizeVal = document.getElementById('modalSize').value;
     const size = sizeVal === 'original' ? null : parseInt(sizeVal, 10);
 
-    // Find matching file
+    // Find matching file (1x, retina files share the same size)
     const file = currentAsset.files.find(f =>
-        f.format === format && f.size === size
+        f.format === format && f.size === size && (f.density || 1) === 1
     );
 
     if (!file) {
         // Try to find any file with this format
         const fallback = currentAsset.files.find(f => f.format === format);
-        if (fallback) {
-            document.getElementById('modalGithubUrl').value = BASE_URLS.github + fallback.path;
-            document.getElementById('modalJsdelivrUrl').value = BASE_URLS.jsdelivr + fallback.path;
-            document.getElementById('modalImage').src = BASE_URLS.github + fallback.path;
-        }
+        if (fallback) showModalFile(fallback);
         return;
     }
 
-    document.getElementById('modalGithubUrl').value = BASE_URLS.github + file.path;
-    document.getElementById('modalJsdelivrUrl').value = BASE_URLS.jsdelivr + file.path;
-    document.getElementById('modalImage').src = BASE_URLS.github + file.path;
+    showModalFile(file);
+}
+
+function showModalFile(file) {
+    currentFile = file;
+    document.getElementById('modalUrls').innerHTML = getCdnProviders().map(provider => `
+        <div>
+            <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">${escapeHtml(provider.name)} URL</label>
+            <div class="flex gap-2">
+                <input type="text" readonly value="${escapeHtml(provider.baseUrl + file.path)}"
+                    class="flex-1 px-3 py-2 bg-gray-100 dark:bg-gray-700 border-0 rounded-lg text-sm text-gray-600 dark:text-gray-300 font-mono">
+                <button onclick="copyUrl('${escapeHtml(provider.id)}')"
+                    class="px-4 py-2 bg-gray-900 dark:bg-white text-white dark:text-gray-900 rounded-lg hover:bg-gray-800 dark:hover:bg-gray-100 transition-colors text-sm font-medium">
+                    Copy
+                </button>
+            </div>
+        </div>
+    `).join('');
+    document.getElementById('modalImage').src = getPreviewUrl(file);
+    updateFileInfo(file);
+}
+
+function updateFileInfo(file) {
+    const parts = [];
+    if (file.width && file.height) parts.push(`${file.width}×${file.height}`);
+    if (file.bytes) parts.push(formatBytes(file.bytes));
+    if (file.mimeType) parts.push(file.mimeType);
+    document.getElementById('modalFileInfo').textContent = parts.join(' • ');
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
-function copyUrl(type) {
-    const input = type === 'github'
-        ? document.getElementById('modalGithubUrl')
-        : document.getElementById('modalJsdelivrUrl');
+function copyUrl(providerId) {
+    const provider = getCdnProviders().find(p => p.id === providerId);
+    if (!provider || !currentFile) return;
 
-    navigator.clipboard.writeText(input.value).then(() => {
-        showToast(`${type === 'github' ? 'GitHub Pages' : 'jsDelivr'} URL copied!`, 'success');
+    navigator.clipboard.writeText(provider.baseUrl + currentFile.path).then(() => {
+        showToast(`${provider.name} URL copied!`, 'success');
     }).catch(() => {
         showToast('Failed to copy URL', 'error');
     });
 }
 
 function downloadAsset() {
-    const url = document.getElementById('modalGithubUrl').value;
+    if (!currentFile) return;
+    const url = getPreviewUrl(currentFile);
     const filename = url.split('/').pop();
 
     const a = document.createElement('a');
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview CDN settings from the `cdn` section of assets.config.json
+ * @module @codefuturist/static-assets/cdn.config
+ *
+ * Generated by `npm run build:lib`, do not edit.
+ */
+
+export const CDN_CONFIG = {
+    "ref": "main",
+    "default": "github",
+    "providers": {
+        "github": {
+            "name": "GitHub Pages",
+            "url": "https://codefuturist.github.io/static-assets/"
+        },
+        "jsdelivr": {
+            "name": "jsDelivr",
+            "url": "https://cdn.jsdelivr.net/gh/codefuturist/static-assets@{ref}/site/"
+        }
+    }
+} as const;
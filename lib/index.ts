@@ -5,26 +5,27 @@
  *
  * @description
  * Type definitions and utilities for working with the static-assets manifest.
- * This library provides TypeScript types for consuming the asset manifest API.
+ * This library provides TypeScript types for consuming the asset manifest API
+ * and loaders that fetch brand manifests only when they are needed.
  *
  * @example
  * ```typescript
- * import type { AssetManifest, Asset, AssetFormat } from '@codefuturist/static-assets';
+ * import { loadManifest, loadBrandManifest } from '@codefuturist/static-assets';
+ * import type { Asset, AssetFormat, BrandManifest } from '@codefuturist/static-assets';
  *
- * async function loadAssets(): Promise<AssetManifest> {
- *   const response = await fetch(
- *     'https://codefuturist.github.io/static-assets/assets-manifest.json'
- *   );
- *   return response.json();
- * }
+ * const manifest = await loadManifest();
+ * const { brand, baseUrls } = await loadBrandManifest(manifest, 'rey-it-solutions');
  *
- * function getAssetUrl(manifest: AssetManifest, asset: Asset, format: AssetFormat): string {
+ * function getAssetUrl(asset: Asset, format: AssetFormat): string {
  *   const file = asset.files.find(f => f.format === format);
- *   return file ? manifest.baseUrls.jsdelivr + file.path : '';
+ *   return file ? baseUrls.jsdelivr + file.path : '';
  * }
  * ```
  */
 
+import { CDN_CONFIG } from './cdn.config.js';
+import type { AssetManifest, BrandManifest, CdnProvider } from './types/index.js';
+
 // Re-export all types from the types module
 export type * from './types/index.js';
 
@@ -33,17 +34,45 @@ export type * from './types/index.js';
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Default manifest URL (GitHub Pages)
+ * Git ref (branch, tag or commit) CDN URLs are pinned to by default
  */
-export const MANIFEST_URL = 'https://codefuturist.github.io/static-assets/assets-manifest.json' as const;
+export const CDN_REF: string = CDN_CONFIG.ref;
 
 /**
- * CDN base URLs
+ * Provider used for the manifest and version index URLs
  */
-export const CDN_URLS = {
-    github: 'https://codefuturist.github.io/static-assets/',
-    jsdelivr: 'https://cdn.jsdelivr.net/gh/codefuturist/static-assets@main/site/',
-} as const;
+export const DEFAULT_CDN: CdnProvider = CDN_CONFIG.default;
+
+/**
+ * Base URL of a CDN provider from `cdn.providers` in assets.config.json,
+ * optionally pinned to another git ref (e.g., a release tag)
+ *
+ * @example
+ * ```typescript
+ * getCdnUrl('jsdelivr', 'v1.2.0'); // "https://cdn.jsdelivr.net/gh/codefuturist/static-assets@v1.2.0/site/"
+ * ```
+ */
+export function getCdnUrl(provider: CdnProvider, ref: string = CDN_REF): string {
+    const url: string = CDN_CONFIG.providers[provider].url.replaceAll('{ref}', ref);
+    return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * CDN base URLs, keyed by provider id
+ */
+export const CDN_URLS = Object.fromEntries(
+    (Object.keys(CDN_CONFIG.providers) as CdnProvider[]).map(provider => [provider, getCdnUrl(provider)])
+) as { readonly [P in CdnProvider]: string };
+
+/**
+ * Default manifest URL, the manifest of the default version
+ */
+export const MANIFEST_URL = `${CDN_URLS[DEFAULT_CDN]}assets-manifest.json`;
+
+/**
+ * Index of all version namespaces and their manifests (see `VersionIndex`)
+ */
+export const VERSIONS_URL = `${CDN_URLS[DEFAULT_CDN]}versions.json`;
 
 /**
  * Supported asset formats in order of preference (best quality/compression first)
@@ -58,3 +87,53 @@ export const STANDARD_SIZES = {
     appIcon: [64, 96, 128, 180, 192, 256, 512],
     social: [1200],
 } as const;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Manifest Loading
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Brand manifest requests by manifest generation and URL
+const brandManifests = new Map<string, Promise<BrandManifest>>();
+
+async function fetchJson<T>(url: string): Promise<T> {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+    return response.json() as Promise<T>;
+}
+
+/**
+ * Fetch a root manifest, the index of the brands (default: `MANIFEST_URL`)
+ */
+export function loadManifest(url: string = MANIFEST_URL): Promise<AssetManifest> {
+    return fetchJson<AssetManifest>(url);
+}
+
+/**
+ * Fetch the manifest of one brand of a root manifest. Each brand manifest is
+ * requested once; repeated and concurrent calls share the request.
+ *
+ * @example
+ * ```typescript
+ * const manifest = await loadManifest();
+ * const brands = await Promise.all(manifest.brands.map(b => loadBrandManifest(manifest, b.id)));
+ * ```
+ */
+export function loadBrandManifest(
+    manifest: AssetManifest,
+    brandId: string,
+    provider: CdnProvider = manifest.cdn?.default ?? DEFAULT_CDN
+): Promise<BrandManifest> {
+    const summary = manifest.brands.find(brand => brand.id === brandId);
+    if (!summary) return Promise.reject(new Error(`Unknown brand "${brandId}" in manifest ${manifest.version}`));
+
+    const url = manifest.baseUrls[provider] + summary.manifest;
+    const key = `${manifest.generated} ${url}`;
+    if (!brandManifests.has(key)) {
+        // Failed requests are retried on the next call
+        brandManifests.set(key, fetchJson<BrandManifest>(url).catch(err => {
+            brandManifests.delete(key);
+            throw err;
+        }));
+    }
+    return brandManifests.get(key)!;
+}
@@ -3,28 +3,35 @@
  * @module @codefuturist/static-assets/types/helpers
  */
 
-import type { Asset, AssetFile, AssetFormat, AssetManifest, AssetType } from './manifest.js';
+import type { Asset, AssetFile, AssetFormat, AssetManifest, AssetType, BrandManifest } from './manifest.js';
+import type { CDN_CONFIG } from '../cdn.config.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // URL Types
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * CDN provider options
+ * CDN provider ids, as configured under `cdn.providers` in assets.config.json
  */
-export type CdnProvider = 'github' | 'jsdelivr';
+export type CdnProvider = keyof typeof CDN_CONFIG.providers;
+
+// Provider URL template with `{ref}` expanded and a trailing slash
+type ExpandRef<U extends string> = U extends `${infer Head}{ref}${infer Tail}` ? `${Head}${string}${ExpandRef<Tail>}` : U;
+type CdnBaseUrl<U extends string> = ExpandRef<U> extends `${string}/` ? ExpandRef<U> : `${ExpandRef<U>}/`;
 
 /**
- * Construct a full URL for an asset file based on CDN provider
+ * Full URL of an asset file on a CDN provider, derived from the provider's
+ * URL template (any git ref)
  *
  * @example
  * ```typescript
- * const url: AssetUrl<'jsdelivr'> = 'https://cdn.jsdelivr.net/gh/codefuturist/static-assets@main/site/v1/...';
+ * const url: AssetUrl<'jsdelivr'> = 'https://cdn.jsdelivr.net/gh/codefuturist/static-assets@v1.2.0/site/v1/...';
+ * const any: AssetUrl = 'https://codefuturist.github.io/static-assets/v1/...'; // Any configured provider
  * ```
  */
-export type AssetUrl<T extends CdnProvider> = T extends 'github'
-    ? `https://codefuturist.github.io/static-assets/${string}`
-    : `https://cdn.jsdelivr.net/gh/codefuturist/static-assets@main/site/${string}`;
+export type AssetUrl<T extends CdnProvider = CdnProvider> = T extends CdnProvider
+    ? `${CdnBaseUrl<typeof CDN_CONFIG.providers[T]['url']>}${string}`
+    : never;
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Filter Types
@@ -79,7 +86,7 @@ export interface AssetSortOptions {
  * ```
  */
 export type GetAssetUrl = (
-    manifest: AssetManifest,
+    manifest: AssetManifest | BrandManifest,
     file: AssetFile,
     cdn?: CdnProvider
 ) => string;
@@ -98,10 +105,10 @@ export type GetAssetUrl = (
 export type GetBestFormat = (asset: Asset) => AssetFormat;
 
 /**
- * Function signature for finding assets matching criteria
+ * Function signature for finding assets matching criteria in loaded brand manifests
  */
 export type FindAssets = (
-    manifest: AssetManifest,
+    brands: readonly BrandManifest[],
     filter?: AssetFilter
 ) => Asset[];
 
@@ -7,22 +7,24 @@
  * ```typescript
  * import type {
  *   AssetManifest,
+ *   BrandManifest,
  *   Brand,
  *   Asset,
  *   AssetFile,
  *   AssetFormat
  * } from '@codefuturist/static-assets';
  *
- * // Fetch and type the manifest
+ * // Fetch and type the manifest (an index of the brands)
  * const manifest: AssetManifest = await fetch(
  *   'https://codefuturist.github.io/static-assets/assets-manifest.json'
  * ).then(r => r.json());
  *
- * // Find a brand
- * const brand = manifest.brands.find(b => b.id === 'rey-it-solutions');
+ * // Load a brand's own manifest
+ * const summary = manifest.brands.find(b => b.id === 'rey-it-solutions');
+ * const { brand }: BrandManifest = await fetch(manifest.baseUrls.github + summary?.manifest).then(r => r.json());
  *
  * // Get logo assets
- * const logos = brand?.assetTypes.find(t => t.type === 'logos');
+ * const logos = brand.assetTypes.find(t => t.type === 'logos');
  *
  * // Build a URL
  * const file = logos?.assets[0].files.find(f => f.format === 'svg');
@@ -33,13 +35,32 @@
 // Core manifest types
 export type {
     AssetManifest,
+    BrandManifest,
+    VersionIndex,
+    VersionEntry,
     BaseUrls,
+    CdnConfig,
+    CdnProviderInfo,
+    BrandSummary,
+    BrandCounts,
     Brand,
     AssetTypeGroup,
     AssetType,
     Asset,
     AssetFormat,
     AssetFile,
+    AssetPlaceholder,
+    AssetCrop,
+    FocalPoint,
+    SrcsetCandidate,
+    FaviconBundle,
+    FaviconFormat,
+    FaviconFile,
+    BrandTokens,
+    TokenFile,
+    SharedAssets,
+    SharedFile,
+    SvgSprite,
 } from './manifest.js';
 
 // Helper and utility types
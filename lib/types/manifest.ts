@@ -4,12 +4,15 @@
  * @see https://github.com/codefuturist/static-assets
  */
 
+import type { CdnProvider } from './helpers.js';
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Core Types
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Root manifest structure returned by the assets API
+ * Root manifest (`assets-manifest.json`): an index of the brands, whose
+ * assets are in separate brand manifests
  *
  * @example
  * ```typescript
@@ -23,28 +26,177 @@
  * ```
  */
 export interface AssetManifest {
+    /** URL of the JSON Schema (schemas/manifest.schema.json) */
+    readonly $schema?: string;
+
+    /** ISO 8601 timestamp of when the manifest was generated */
+    readonly generated: string;
+
+    /** Version namespace the manifest describes (e.g., "v1") */
+    readonly version: string;
+
+    /** Git ref (branch, tag or commit) the CDN URLs are pinned to (e.g., "main", "v1.2.0") */
+    readonly ref?: string;
+
+    /** Base URLs for different CDN options */
+    readonly baseUrls: BaseUrls;
+
+    /** CDN providers in display order, with the default provider */
+    readonly cdn?: CdnConfig;
+
+    /** Available brands; load their assets with the `manifest` path of each */
+    readonly brands: BrandSummary[];
+
+    /** Assets shared by all brands (only when configured) */
+    readonly shared?: SharedAssets;
+}
+
+/**
+ * Brand manifest (`v1/brands/<id>/manifest.json`) with all assets of a brand
+ *
+ * @example
+ * ```typescript
+ * const summary = manifest.brands.find(b => b.id === 'rey-it-solutions');
+ * const { brand }: BrandManifest = await fetch(manifest.baseUrls.github + summary?.manifest).then(r => r.json());
+ * ```
+ */
+export interface BrandManifest {
+    /** URL of the JSON Schema (schemas/brand-manifest.schema.json) */
+    readonly $schema?: string;
+
     /** ISO 8601 timestamp of when the manifest was generated */
     readonly generated: string;
 
-    /** Asset API version (e.g., "v1") */
+    /** Version namespace the manifest describes (e.g., "v1") */
     readonly version: string;
 
+    /** Git ref (branch, tag or commit) the CDN URLs are pinned to */
+    readonly ref?: string;
+
     /** Base URLs for different CDN options */
     readonly baseUrls: BaseUrls;
 
-    /** Array of available brands */
-    readonly brands: Brand[];
+    /** The brand with all its assets */
+    readonly brand: Brand;
+}
+
+/**
+ * Top-level `versions.json`: every version namespace with a manifest
+ *
+ * @example
+ * ```typescript
+ * const index: VersionIndex = await fetch(VERSIONS_URL).then(r => r.json());
+ * const v2 = index.versions.find(v => v.id === 'v2');
+ * const manifest: AssetManifest = await fetch(CDN_URLS.github + v2?.manifest).then(r => r.json());
+ * ```
+ */
+export interface VersionIndex {
+    /** ISO 8601 timestamp of when the index was generated */
+    readonly generated: string;
+
+    /** Version served at the site root `assets-manifest.json` */
+    readonly default: string;
+
+    /** All built versions */
+    readonly versions: readonly VersionEntry[];
+}
+
+export interface VersionEntry {
+    /** Version namespace (e.g., "v2") */
+    readonly id: string;
+
+    /** Manifest path relative to the site root (e.g., "v2/assets-manifest.json") */
+    readonly manifest: string;
+
+    /** ISO 8601 timestamp of the version's manifest */
+    readonly generated: string;
+
+    /** Number of brands in the version */
+    readonly brands: number;
+}
+
+/**
+ * Assets built from `_source/shared/`
+ */
+export interface SharedAssets {
+    /** Minified stylesheets */
+    readonly css?: readonly SharedFile[];
+
+    /** Minified scripts */
+    readonly js?: readonly SharedFile[];
+
+    /** WOFF2 fonts, subset to `unicodeRange` */
+    readonly fonts?: readonly SharedFile[];
+
+    /** Shared icons, built like brand asset types */
+    readonly assetTypes?: readonly AssetTypeGroup[];
+
+    /** SVG sprite sheets */
+    readonly sprites?: readonly SvgSprite[];
+}
+
+/**
+ * Stylesheet, script or font in the shared namespace
+ */
+export interface SharedFile {
+    /** Filename (e.g., "reset.css") */
+    readonly file: string;
+
+    /** File format (e.g., "css", "js", "woff2") */
+    readonly format: string;
+
+    /** Relative path from site root (e.g., "v1/shared/css/reset.css") */
+    readonly path: string;
+
+    /** File size in bytes */
+    readonly bytes: number;
+
+    /** MIME type (e.g., "text/css") */
+    readonly mimeType: string;
+
+    /** Subresource Integrity hash (e.g., "sha384-...") */
+    readonly integrity: string;
+
+    /** Characters kept in the font (fonts only), as a CSS unicode-range */
+    readonly unicodeRange?: string;
+
+    /** Content hash of the file (only with `hashedFilenames` enabled) */
+    readonly hash?: string;
+
+    /** Path of the content-hashed copy (e.g., "v1/shared/css/reset.3f9a1c.css") */
+    readonly hashedPath?: string;
+}
+
+/**
+ * CDN base URLs for constructing asset paths, keyed by provider id
+ * (e.g., github: "https://codefuturist.github.io/static-assets/",
+ * jsdelivr: "https://cdn.jsdelivr.net/gh/codefuturist/static-assets@main/site/")
+ */
+export type BaseUrls = { readonly [P in CdnProvider]: string };
+
+/**
+ * CDN providers of a manifest
+ */
+export interface CdnConfig {
+    /** Provider used for absolute URLs in generated files (e.g., "github") */
+    readonly default: CdnProvider;
+
+    /** Providers in display order */
+    readonly providers: CdnProviderInfo[];
 }
 
 /**
- * CDN base URLs for constructing asset paths
+ * A CDN provider with its base URL template expanded
  */
-export interface BaseUrls {
-    /** GitHub Pages URL (e.g., "https://codefuturist.github.io/static-assets/") */
-    readonly github: string;
+export interface CdnProviderInfo {
+    /** Provider id (e.g., "jsdelivr") */
+    readonly id: CdnProvider;
+
+    /** Display name (e.g., "jsDelivr") */
+    readonly name: string;
 
-    /** jsDelivr CDN URL (e.g., "https://cdn.jsdelivr.net/gh/codefuturist/static-assets@main/site/") */
-    readonly jsdelivr: string;
+    /** Base URL of the site root (e.g., "https://cdn.jsdelivr.net/gh/codefuturist/static-assets@v1.2.0/site/") */
+    readonly baseUrl: string;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -52,12 +204,55 @@ export interface BaseUrls {
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Brand containing multiple asset types
+ * Brand entry of the root manifest
  *
  * @example
  * ```typescript
  * const brand = manifest.brands.find(b => b.id === 'rey-it-solutions');
- * console.log(brand?.name); // "Rey IT Solutions"
+ * console.log(brand?.counts.assets, brand?.manifest); // 7 "v1/brands/rey-it-solutions/manifest.json"
+ * ```
+ */
+export interface BrandSummary {
+    /** Unique brand identifier (kebab-case, e.g., "rey-it-solutions") */
+    readonly id: string;
+
+    /** Human-readable brand name (e.g., "Rey IT Solutions") */
+    readonly name: string;
+
+    /** Optional brand description for UI/search */
+    readonly description?: string;
+
+    /** Optional tags to improve search/discovery */
+    readonly tags?: readonly string[];
+
+    /** Optional aliases/synonyms (e.g., abbreviations) */
+    readonly aliases?: readonly string[];
+
+    /** Asset types the brand has assets of */
+    readonly assetTypes: readonly AssetType[];
+
+    /** Number of assets and of their files */
+    readonly counts: BrandCounts;
+
+    /** Brand manifest path relative to the site root (e.g., "v1/brands/acme/manifest.json") */
+    readonly manifest: string;
+}
+
+export interface BrandCounts {
+    /** Assets of all asset types */
+    readonly assets: number;
+
+    /** Files of those assets (favicons, sprites and tokens not included) */
+    readonly files: number;
+}
+
+/**
+ * Brand containing multiple asset types (the `brand` of a brand manifest)
+ *
+ * @example
+ * ```typescript
+ * const { brand } = await loadBrandManifest(manifest, 'rey-it-solutions');
+ * console.log(brand.name); // "Rey IT Solutions"
  * ```
  */
 export interface Brand {
@@ -78,6 +273,15 @@ export interface Brand {
 
     /** Array of asset type categories */
     readonly assetTypes: readonly AssetTypeGroup[];
+
+    /** Favicon bundle (only for brands with the `favicon` option enabled) */
+    readonly favicons?: FaviconBundle;
+
+    /** SVG sprite sheets (only for asset types with the `sprite` option enabled) */
+    readonly sprites?: readonly SvgSprite[];
+
+    /** Design tokens (only for brands with `tokens` in meta.json) */
+    readonly tokens?: BrandTokens;
 }
 
 /**
@@ -138,6 +342,12 @@ export interface Asset {
     /** Optional ordering hint (lower values sort first) */
     readonly sortKey?: number;
 
+    /** True when the generator derived this variant from another asset (e.g. "logo-mono" from "logo") */
+    readonly derived?: boolean;
+
+    /** Asset id this variant was derived from */
+    readonly derivedFrom?: string;
+
     /** Asset type category */
     readonly type: AssetType;
 
@@ -152,12 +362,105 @@ export interface Asset {
 
     /** Array of all available file variants */
     readonly files: readonly AssetFile[];
+
+    /** Placeholder to show while the image loads (computed from the source) */
+    readonly placeholder?: AssetPlaceholder;
+
+    /** True when the source is an animated GIF/WebP (its WebP and GIF files keep every frame) */
+    readonly animated?: boolean;
+
+    /**
+     * Still PNG of the poster frame, one per size (animated assets only)
+     *
+     * @example
+     * ```typescript
+     * // Respect reduced motion
+     * const still = asset.poster?.find(f => f.size === 128);
+     * const html = `<picture><source media="(prefers-reduced-motion: reduce)" srcset="${baseUrl + still?.path}"><img src="${baseUrl + animatedFile.path}"></picture>`;
+     * ```
+     */
+    readonly poster?: readonly AssetFile[];
+
+    /**
+     * Art-direction crops (named aspect ratios from meta.json), each written at every size
+     *
+     * @example
+     * ```typescript
+     * // Hero banner: square crop on phones, 16:9 elsewhere
+     * const srcset = (crop: AssetCrop) => crop.srcset.webp?.map(c => `${baseUrl + c.path} ${c.width}w`).join(', ');
+     * const [wide, square] = ['wide', 'square'].map(name => asset.crops!.find(c => c.name === name)!);
+     * const html = `<picture><source media="(max-width: 640px)" srcset="${srcset(square)}"><img srcset="${srcset(wide)}" sizes="100vw"></picture>`;
+     * ```
+     */
+    readonly crops?: readonly AssetCrop[];
+}
+
+/**
+ * Point of the source a crop is centred on, as fractions (0–1) of its width and height
+ */
+export interface FocalPoint {
+    readonly x: number;
+    readonly y: number;
+}
+
+/**
+ * A named crop of an asset and its files
+ */
+export interface AssetCrop {
+    /** Crop name from meta.json (e.g., "wide") */
+    readonly name: string;
+
+    /** Aspect ratio as width:height (e.g., "16:9") */
+    readonly aspectRatio: string;
+
+    /** Focal point the crop is centred on (as far as the source edges allow) */
+    readonly focalPoint: FocalPoint;
+
+    /** Files of the crop, one per size, format and density */
+    readonly files: readonly AssetFile[];
+
+    /** `srcset` candidates by format, one per pixel width, narrowest first */
+    readonly srcset: Readonly<Partial<Record<AssetFormat, readonly SrcsetCandidate[]>>>;
+}
+
+/**
+ * One `srcset` candidate (`<path> <width>w`)
+ */
+export interface SrcsetCandidate {
+    /** Relative path from site root */
+    readonly path: string;
+
+    /** Width in pixels (the `w` descriptor) */
+    readonly width: number;
+}
+
+/**
+ * Low-quality placeholder data for an asset
+ *
+ * @example
+ * ```typescript
+ * // Blurred preview behind the real image
+ * const style = `background: url(${asset.placeholder.lqip}) center / cover`;
+ * ```
+ */
+export interface AssetPlaceholder {
+    /** Tiny WebP preview (max 16px) as a data URI */
+    readonly lqip: string;
+
+    /** Base64 ThumbHash (decode with `thumbHashToDataURL` from the "thumbhash" package) */
+    readonly thumbhash: string;
+
+    /** Most common visible colour (e.g., "#1e40af"), null when fully transparent */
+    readonly dominantColor: string | null;
+
+    /** True when the image has transparent pixels */
+    readonly hasAlpha: boolean;
 }
 
 /**
  * Supported image formats
  */
-export type AssetFormat = 'svg' | 'png' | 'webp' | 'avif' | 'jpg';
+export type AssetFormat = 'svg' | 'png' | 'webp' | 'avif' | 'jpg' | 'gif';
 
 /**
  * Individual file variant of an asset
@@ -169,9 +472,197 @@ export interface AssetFile {
     /** File format */
     readonly format: AssetFormat;
 
-    /** Size in pixels (null for original/vector) */
+    /** Configured (1x) width in pixels (null for original/vector) */
     readonly size: number | null;
 
+    /** Name of the size entry in the config (e.g., "128", "og", "xl"; null for original/vector) */
+    readonly sizeName: string | null;
+
+    /** Actual width in pixels (from the viewBox for SVGs) */
+    readonly width: number;
+
+    /** Actual height in pixels (from the viewBox for SVGs) */
+    readonly height: number;
+
+    /** Pixel density (1, or 2 for `@2x` retina files) */
+    readonly density: number;
+
     /** Relative path from site root (e.g., "v1/brands/acme/logos/logo-128.png") */
     readonly path: string;
+
+    /** Number of frames (animated WebP/GIF files only) */
+    readonly frames?: number;
+
+    /** File size in bytes */
+    readonly bytes: number;
+
+    /** MIME type (e.g., "image/webp") */
+    readonly mimeType: string;
+
+    /**
+     * Subresource Integrity hash for `integrity=` attributes (e.g., "sha384-oqVuAfXR...")
+     *
+     * @example
+     * ```typescript
+     * const link = `<link rel="preload" as="image" href="${url}" integrity="${file.integrity}" crossorigin>`;
+     * ```
+     */
+    readonly integrity: string;
+
+    /** Content hash of the file (only with `hashedFilenames` enabled) */
+    readonly hash?: string;
+
+    /**
+     * Path of the immutable, content-hashed copy (e.g., "v1/brands/acme/logos/logo-128.3f9a1c.png").
+     * Its content never changes, so it can be cached forever.
+     */
+    readonly hashedPath?: string;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Favicon Types
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Complete favicon/app-icon bundle for a brand
+ *
+ * @example
+ * ```typescript
+ * const snippetUrl = manifest.baseUrls.github + brand.favicons?.html;
+ * const html = await fetch(snippetUrl).then(r => r.text());
+ * ```
+ */
+export interface FaviconBundle {
+    /** Directory path of the bundle (e.g., "v1/brands/acme/favicons") */
+    readonly basePath: string;
+
+    /** Path to the copy-pasteable HTML `<link>` snippet */
+    readonly html: string;
+
+    /** Path to the web app manifest */
+    readonly webmanifest: string;
+
+    /** All files in the bundle */
+    readonly files: readonly FaviconFile[];
+}
+
+/**
+ * Supported favicon bundle file formats
+ */
+export type FaviconFormat = 'ico' | 'svg' | 'png' | 'webmanifest' | 'xml' | 'html';
+
+/**
+ * Individual file in a favicon bundle
+ */
+export interface FaviconFile {
+    /** Filename including extension (e.g., "apple-touch.png") */
+    readonly file: string;
+
+    /** File format */
+    readonly format: FaviconFormat;
+
+    /** Size in pixels (null for multi-size, vector or text files) */
+    readonly size: number | null;
+
+    /** Relative path from site root (e.g., "v1/brands/acme/favicons/favicon.ico") */
+    readonly path: string;
+
+    /** File size in bytes */
+    readonly bytes: number;
+
+    /** MIME type (e.g., "image/x-icon") */
+    readonly mimeType: string;
+
+    /** Subresource Integrity hash (e.g., "sha384-...") */
+    readonly integrity: string;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Design Token Types
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Brand colours and fonts, with the files they are exported to
+ *
+ * @example
+ * ```typescript
+ * const primary = brand.tokens?.colors.primary; // "#1e40af"
+ * const css = brand.tokens?.files.find(f => f.format === 'css');
+ * ```
+ */
+export interface BrandTokens {
+    /** Directory path of the exported files (e.g., "v1/brands/acme/tokens") */
+    readonly basePath: string;
+
+    /** Palette colours by dashed name (e.g., { "blue-700": "#1e40af" }) */
+    readonly palette: Readonly<Record<string, string>>;
+
+    /** Semantic colours with palette references resolved (e.g., { "primary": "#1e40af" }) */
+    readonly colors: Readonly<Record<string, string>>;
+
+    /** Font stacks (e.g., { "heading": ["Inter", "system-ui", "sans-serif"] }) */
+    readonly fonts: Readonly<Record<string, readonly string[]>>;
+
+    /** tokens.css, tokens.scss, tokens.json and tailwind.preset.js */
+    readonly files: readonly TokenFile[];
+}
+
+/**
+ * Exported design token file
+ */
+export interface TokenFile {
+    /** Filename (e.g., "tokens.css") */
+    readonly file: string;
+
+    /** File format */
+    readonly format: 'css' | 'scss' | 'json' | 'js';
+
+    /** Relative path from site root (e.g., "v1/brands/acme/tokens/tokens.css") */
+    readonly path: string;
+
+    /** File size in bytes */
+    readonly bytes: number;
+
+    /** MIME type (e.g., "text/css") */
+    readonly mimeType: string;
+
+    /** Subresource Integrity hash (e.g., "sha384-...") */
+    readonly integrity: string;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Sprite Types
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * SVG sprite sheet combining every SVG of an asset type as `<symbol>`s
+ *
+ * @example
+ * ```typescript
+ * const sprite = brand.sprites?.find(s => s.type === 'icons');
+ * // <svg><use href="https://.../v1/brands/acme/sprites/icons.svg#check"/></svg>
+ * const href = `${manifest.baseUrls.github}${sprite?.path}#${sprite?.symbols[0]}`;
+ * ```
+ */
+export interface SvgSprite {
+    /** Asset type the sprite was built from */
+    readonly type: AssetType;
+
+    /** Filename (e.g., "icons.svg") */
+    readonly file: string;
+
+    /** Relative path from site root (e.g., "v1/brands/acme/sprites/icons.svg") */
+    readonly path: string;
+
+    /** Symbol IDs, derived from source file names (e.g., "arrows-chevron-left") */
+    readonly symbols: readonly string[];
+
+    /** File size in bytes */
+    readonly bytes: number;
+
+    /** MIME type (e.g., "image/svg+xml") */
+    readonly mimeType: string;
+
+    /** Subresource Integrity hash (e.g., "sha384-...") */
+    readonly integrity: string;
 }
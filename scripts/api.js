@@ -0,0 +1,25 @@
+/**
+ * Static Assets Node API
+ *
+ * Programmatic access to the asset pipeline for tools that embed it. The
+ * `static-assets` CLI (scripts/cli.js) is a thin wrapper over these functions.
+ *
+ * Every function takes an options object and resolves with a structured
+ * result instead of printing or exiting. Progress, warnings and errors are
+ * passed to `onEvent` as `{level, message}` events while it runs.
+ *
+ * @example
+ * import { buildAssets } from '@codefuturist/static-assets/api';
+ *
+ * const result = await buildAssets({
+ *     brands: ['acme'],
+ *     onEvent: ({ level, message }) => level === 'warn' && console.warn(message),
+ * });
+ * if (!result.ok) throw new Error(result.errors.join('\n'));
+ */
+
+export { buildAssets, buildManifest } from './lib/build.js';
+export { validateAssets } from './lib/validate.js';
+export { createBrand } from './lib/brand.js';
+export { watchAssets } from './lib/watch.js';
+export { loadConfig } from './lib/config.js';
@@ -0,0 +1,440 @@
+#!/usr/bin/env node
+/**
+ * static-assets CLI
+ *
+ * One entry point for the asset pipeline, on top of the Node API:
+ *
+ *   static-assets build [--brand <id>]... [--namespace <id>]... [--force] [--dry-run] [--jobs <n>] [--ref <ref>]
+ *   static-assets validate [--brand <id>]...
+ *   static-assets watch [--brand <id>]... [--namespace <id>]...
+ *   static-assets new-brand <name>
+ *   static-assets manifest [--namespace <id>]... [--ref <ref>]
+ *   static-assets info
+ *
+ * Global options: --config <path>, --source <dir>, --out <dir>, --json, --help
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { buildAssets, buildManifest } from './lib/build.js';
+import { validateAssets } from './lib/validate.js';
+import { createBrand } from './lib/brand.js';
+import { watchAssets } from './lib/watch.js';
+import { loadConfig, DEFAULT_ROOT_DIR, DEFAULT_CONFIG_FILE } from './lib/config.js';
+import { resolveVersions } from './lib/versions.js';
+import { resolveCdn } from './lib/cdn.js';
+import { resolveBudgets } from './lib/report.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Output
+// ─────────────────────────────────────────────────────────────────────────────
+
+const colors = {
+    reset: '\x1b[0m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    red: '\x1b[31m',
+    cyan: '\x1b[36m',
+    dim: '\x1b[2m',
+    bold: '\x1b[1m'
+};
+
+const PREFIXES = {
+    info: `${colors.cyan}ℹ${colors.reset} `,
+    success: `${colors.green}✓${colors.reset} `,
+    warn: `${colors.yellow}⚠${colors.reset} `,
+    error: `${colors.red}✗${colors.reset} `,
+    watch: `${colors.cyan}👁${colors.reset} `,
+    detail: '',
+};
+
+function printEvent({ level, message }) {
+    console.log(`${PREFIXES[level] ?? ''}${message}`);
+}
+
+function printTimestamped(event) {
+    const timestamp = new Date().toLocaleTimeString();
+    process.stdout.write(`${colors.dim}[${timestamp}]${colors.reset} `);
+    printEvent(event);
+}
+
+function printJson(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Commands
+// ─────────────────────────────────────────────────────────────────────────────
+
+const GLOBAL_OPTIONS = {
+    config: { type: 'string', description: `Config file (default: ${DEFAULT_CONFIG_FILE}); paths in it are relative to its directory`, value: 'path' },
+    source: { type: 'string', description: 'Source directory, overrides sourceDir', value: 'dir' },
+    out: { type: 'string', description: 'Output directory of the main version, overrides outputDir', value: 'dir' },
+    json: { type: 'boolean', description: 'Print the result as JSON instead of progress' },
+    help: { type: 'boolean', short: 'h', description: 'Show help' },
+};
+
+const BRAND_OPTION = { type: 'string', multiple: true, description: 'Only this brand (repeatable)', value: 'id' };
+const NAMESPACE_OPTION = { type: 'string', multiple: true, description: 'Only this version namespace (repeatable)', value: 'id' };
+const REF_OPTION = { type: 'string', description: 'Git branch, tag or commit to pin CDN URLs to', value: 'ref' };
+
+const COMMANDS = {
+    build: {
+        summary: 'Generate assets, build reports and manifests',
+        options: {
+            brand: BRAND_OPTION,
+            namespace: NAMESPACE_OPTION,
+            force: { type: 'boolean', description: 'Ignore the build cache and rebuild everything' },
+            'dry-run': { type: 'boolean', description: 'Print planned writes and deletions only' },
+            jobs: { type: 'string', description: 'Parallel encode jobs (default: CPU count)', value: 'n' },
+            ref: REF_OPTION,
+        },
+        run: runBuild,
+    },
+    validate: {
+        summary: 'Validate source assets and config',
+        options: {
+            brand: BRAND_OPTION,
+        },
+        run: runValidate,
+    },
+    watch: {
+        summary: 'Build, then rebuild when sources or config change',
+        options: {
+            brand: BRAND_OPTION,
+            namespace: NAMESPACE_OPTION,
+            jobs: { type: 'string', description: 'Parallel encode jobs (default: CPU count)', value: 'n' },
+            ref: REF_OPTION,
+        },
+        run: runWatch,
+    },
+    'new-brand': {
+        summary: 'Scaffold a brand in the source directory and add it to the config',
+        usage: '<name>',
+        options: {},
+        run: runNewBrand,
+    },
+    manifest: {
+        summary: 'Regenerate manifests and versions.json from the last build',
+        options: {
+            namespace: NAMESPACE_OPTION,
+            ref: REF_OPTION,
+        },
+        run: runManifest,
+    },
+    info: {
+        summary: 'Show the resolved config: versions, brands, CDN providers and budgets',
+        options: {},
+        run: runInfo,
+    },
+};
+
+/**
+ * API options shared by all commands, from --config, --source and --out.
+ * Paths on the command line are relative to the working directory; the root
+ * directory is the one containing the config file.
+ */
+function getBaseOptions(values) {
+    const cwd = process.cwd();
+    const configPath = path.resolve(cwd, values.config || DEFAULT_CONFIG_FILE);
+    const rootDir = path.dirname(configPath);
+    const fromCwd = dir => dir && path.relative(rootDir, path.resolve(cwd, dir));
+    return {
+        rootDir,
+        config: path.basename(configPath),
+        sourceDir: fromCwd(values.source),
+        outputDir: fromCwd(values.out),
+    };
+}
+
+function getJobs(values) {
+    if (values.jobs === undefined) return undefined;
+    const jobs = Number(values.jobs);
+    if (!Number.isInteger(jobs) || jobs < 1) throw new Error('--jobs must be a positive integer');
+    return jobs;
+}
+
+async function runBuild(values, positionals, base) {
+    const result = await buildAssets({
+        ...base,
+        brands: values.brand,
+        versions: values.namespace,
+        force: values.force,
+        dryRun: values['dry-run'],
+        jobs: getJobs(values),
+        ref: values.ref,
+        onEvent: values.json ? undefined : printEvent,
+    });
+
+    if (values.json) {
+        printJson(result);
+    } else if (result.ok) {
+        printEvent({ level: 'info', message: result.dryRun ? '\n✨ Dry run complete, nothing was written\n' : '\n✨ Asset generation complete!\n' });
+    } else {
+        printEvent({ level: 'error', message: `Build failed with ${plural(result.errors.length, 'error')}` });
+    }
+    return result.ok ? 0 : 1;
+}
+
+function printIssues(title, color, icon, list) {
+    console.log(`${color}${colors.bold}${title} (${list.length}):${colors.reset}`);
+    for (const { message, file } of list) {
+        console.log(`  ${color}${icon}${colors.reset} ${message}`);
+        if (file) console.log(`    ${colors.dim}${file}${colors.reset}`);
+    }
+    console.log('');
+}
+
+async function runValidate(values, positionals, base) {
+    if (!values.json) console.log(`\n${colors.cyan}${colors.bold}Asset Validation${colors.reset}\n`);
+
+    // Progress only; issues are listed together at the end
+    const result = await validateAssets({
+        ...base,
+        brands: values.brand,
+        onEvent: ({ level, message }) => {
+            if (values.json || level !== 'info') return;
+            // "Validating: acme" -> dim label
+            console.log(message.replace(/^([^:]+:)/, `${colors.dim}$1${colors.reset}`));
+        },
+    });
+
+    if (values.json) {
+        printJson(result);
+        return result.ok ? 0 : 1;
+    }
+
+    console.log('');
+    const { errors, warnings } = result;
+    if (errors.length === 0 && warnings.length === 0) {
+        console.log(`${colors.green}✓ All validations passed!${colors.reset}\n`);
+        return 0;
+    }
+    if (warnings.length > 0) printIssues('Warnings', colors.yellow, '⚠', warnings);
+    if (errors.length > 0) {
+        printIssues('Errors', colors.red, '✗', errors);
+        return 1;
+    }
+    console.log(`${colors.yellow}Validation completed with warnings${colors.reset}\n`);
+    return 0;
+}
+
+async function runWatch(values, positionals, base) {
+    if (!values.json) {
+        console.log(`
+${colors.cyan}${colors.bold}Asset Watch Mode${colors.reset}
+${colors.dim}Auto-rebuilds assets when source files change${colors.reset}
+${colors.dim}Press Ctrl+C to stop${colors.reset}
+`);
+    }
+
+    // With --json, one JSON object per line: events and build results
+    const watcher = await watchAssets({
+        ...base,
+        brands: values.brand,
+        versions: values.namespace,
+        jobs: getJobs(values),
+        ref: values.ref,
+        onEvent: values.json ? event => console.log(JSON.stringify({ type: 'event', ...event })) : printTimestamped,
+        onBuild: (result, err) => {
+            if (values.json) console.log(JSON.stringify(err ? { type: 'build', ok: false, error: err.message } : { type: 'build', ...result }));
+        },
+    });
+
+    await new Promise(resolve => process.once('SIGINT', resolve));
+    watcher.close();
+    if (!values.json) console.log(`\n${colors.dim}Stopping watch mode...${colors.reset}\n`);
+    return 0;
+}
+
+async function runNewBrand(values, positionals, base) {
+    if (positionals.length === 0) throw new Error('Brand name is required (static-assets new-brand <name>)');
+
+    const brand = await createBrand({
+        name: positionals.join(' '),
+        rootDir: base.rootDir,
+        config: base.config,
+        sourceDir: base.sourceDir,
+        onEvent: values.json ? undefined : printEvent,
+    });
+
+    if (values.json) {
+        printJson(brand);
+        return 0;
+    }
+
+    // Summary
+    console.log('');
+    printEvent({ level: 'success', message: `Brand "${brand.name}" scaffolded successfully!` });
+    console.log(`
+${colors.dim}Next steps:${colors.reset}
+  1. Add source files to ${colors.cyan}${brand.sourceDir}/logos/${colors.reset}
+  2. Customize config in ${colors.cyan}${base.config}${colors.reset} if needed
+  3. Run ${colors.cyan}npm run build${colors.reset} to generate assets
+`);
+    return 0;
+}
+
+async function runManifest(values, positionals, base) {
+    const result = await buildManifest({
+        ...base,
+        versions: values.namespace,
+        ref: values.ref,
+        onEvent: values.json ? undefined : printEvent,
+    });
+    if (values.json) printJson(result);
+    return result.errors.length === 0 ? 0 : 1;
+}
+
+/**
+ * The resolved config of every version namespace
+ */
+async function getInfo(base) {
+    const { rootDir, configPath, config } = await loadConfig(base);
+    const { siteDir, defaultVersion, versions } = await resolveVersions(config, rootDir);
+    const packageJson = JSON.parse(await fs.readFile(path.join(DEFAULT_ROOT_DIR, 'package.json'), 'utf-8'));
+
+    return {
+        cli: packageJson.version,
+        rootDir,
+        config: configPath && path.relative(rootDir, configPath),
+        siteDir,
+        defaultVersion,
+        versions: versions.map(({ id, config: versionConfig }) => ({
+            id,
+            sourceDir: versionConfig.sourceDir,
+            outputDir: versionConfig.outputDir,
+            brands: Object.entries(versionConfig.brands || {}).map(([brandId, brandConfig]) => ({
+                id: brandId,
+                assetTypes: Object.keys(brandConfig).filter(key => key !== 'favicon'),
+                favicon: Boolean(brandConfig.favicon),
+            })),
+            shared: Boolean(versionConfig.shared),
+            cdn: resolveCdn(versionConfig),
+            budgets: resolveBudgets(versionConfig.budgets).length,
+        })),
+    };
+}
+
+async function runInfo(values, positionals, base) {
+    const info = await getInfo(base);
+    if (values.json) {
+        printJson(info);
+        return 0;
+    }
+
+    console.log(`\n${colors.cyan}${colors.bold}static-assets ${info.cli}${colors.reset}\n`);
+    console.log(`${colors.dim}Root:${colors.reset}     ${info.rootDir}`);
+    console.log(`${colors.dim}Config:${colors.reset}   ${info.config ?? '(object)'}`);
+    console.log(`${colors.dim}Site:${colors.reset}     ${info.siteDir} (default version ${info.defaultVersion})`);
+    for (const version of info.versions) {
+        console.log(`\n${colors.bold}${version.id}${colors.reset}  ${version.sourceDir} → ${version.outputDir}`);
+        for (const brand of version.brands) {
+            console.log(`  ${brand.id}: ${brand.assetTypes.join(', ') || '(no asset types)'}${brand.favicon ? ' + favicons' : ''}`);
+        }
+        if (version.shared) console.log(`  ${colors.dim}shared assets${colors.reset}`);
+        console.log(`  ${colors.dim}CDN (${version.cdn.ref}):${colors.reset} ${version.cdn.providers.map(provider => provider.id === version.cdn.default ? `${provider.id}*` : provider.id).join(', ')}`);
+        console.log(`  ${colors.dim}Budgets:${colors.reset} ${version.budgets}`);
+    }
+    console.log('');
+    return 0;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Help
+// ─────────────────────────────────────────────────────────────────────────────
+
+function formatOptions(options) {
+    const rows = Object.entries(options).map(([name, option]) => [
+        `${option.short ? `-${option.short}, ` : '    '}--${name}${option.value ? ` <${option.value}>` : ''}`,
+        option.description,
+    ]);
+    const width = Math.max(...rows.map(([flag]) => flag.length));
+    return rows.map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`).join('\n');
+}
+
+function printHelp(commandName) {
+    const command = COMMANDS[commandName];
+    if (command) {
+        console.log(`
+${colors.cyan}static-assets ${commandName}${colors.reset} - ${command.summary}
+
+${colors.dim}Usage:${colors.reset}
+  static-assets ${commandName}${command.usage ? ` ${command.usage}` : ''} [options]
+${Object.keys(command.options).length > 0 ? `\n${colors.dim}Options:${colors.reset}\n${formatOptions(command.options)}\n` : ''}
+${colors.dim}Global options:${colors.reset}
+${formatOptions(GLOBAL_OPTIONS)}
+`);
+        return;
+    }
+
+    const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+    console.log(`
+${colors.cyan}static-assets${colors.reset} - CDN-ready static asset pipeline
+
+${colors.dim}Usage:${colors.reset}
+  static-assets <command> [options]
+
+${colors.dim}Commands:${colors.reset}
+${Object.entries(COMMANDS).map(([name, { summary }]) => `  ${name.padEnd(width)}  ${summary}`).join('\n')}
+
+${colors.dim}Global options:${colors.reset}
+${formatOptions(GLOBAL_OPTIONS)}
+
+Run ${colors.cyan}static-assets <command> --help${colors.reset} for the options of a command.
+`);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function main(argv) {
+    const [commandName, ...rest] = argv;
+    if (!commandName || commandName === '--help' || commandName === '-h' || commandName === 'help') {
+        printHelp(rest[0]);
+        return 0;
+    }
+
+    const command = COMMANDS[commandName];
+    if (!command) {
+        throw new Error(`Unknown command "${commandName}" (run static-assets --help)`);
+    }
+
+    // parseArgs() rejects unknown keys, so drop the help text
+    const options = Object.fromEntries(Object.entries({ ...command.options, ...GLOBAL_OPTIONS })
+        .map(([name, { description, value, ...option }]) => [name, option]));
+    let parsed;
+    try {
+        parsed = parseArgs({ args: rest, options, allowPositionals: true, strict: true });
+    } catch (err) {
+        throw new Error(`${err.message} (run static-assets ${commandName} --help)`);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        printHelp(commandName);
+        return 0;
+    }
+    if (positionals.length > 0 && !command.usage) {
+        throw new Error(`Unexpected argument "${positionals[0]}" (run static-assets ${commandName} --help)`);
+    }
+
+    return command.run(values, positionals, getBaseOptions(values));
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(err => {
+        if (process.argv.includes('--json')) {
+            printJson({ ok: false, error: err.message });
+        } else {
+            printEvent({ level: 'error', message: err.message });
+        }
+        process.exit(1);
+    });
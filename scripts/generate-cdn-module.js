@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+/**
+ * Generate lib/cdn.config.ts from the `cdn` section of assets.config.json.
+ * Run after changing the CDN providers: npm run build:lib
+ */
+
+import fs from 'fs/promises';
+import { renderCdnModule } from './lib/cdn.js';
+
+const configUrl = new URL('../assets.config.json', import.meta.url);
+const moduleUrl = new URL('../lib/cdn.config.ts', import.meta.url);
+
+const config = JSON.parse(await fs.readFile(configUrl, 'utf-8'));
+await fs.writeFile(moduleUrl, renderCdnModule(config));
+console.log('Generated lib/cdn.config.ts');
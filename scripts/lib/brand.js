@@ -0,0 +1,191 @@
+/**
+ * Brand Scaffolding
+ * Creates a new brand directory structure and adds its config entry
+ *
+ * Exposed through the Node API (scripts/api.js) as createBrand();
+ * `static-assets new-brand` (scripts/cli.js) is the CLI on top of it.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { loadConfig, DEFAULT_CONFIG_FILE } from './config.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Utilities
+// ─────────────────────────────────────────────────────────────────────────────
+
+export function toKebabCase(str) {
+    return str
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+function toTitleCase(str) {
+    return str
+        .split('-')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+async function pathExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Main Logic
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Scaffold _source/brands/<id>/ (logos, icons, images, README.md, meta.json)
+ * and add a default entry for the brand to the config file.
+ *
+ * @param {object} options
+ * @param {string} options.name - Brand name ("Acme Corp" or "acme-corp")
+ * @param {string} [options.rootDir] - Directory the config and source paths are relative to (default: the repository root)
+ * @param {string} [options.config] - Config file path relative to rootDir (default: assets.config.json)
+ * @param {string} [options.sourceDir] - Source directory relative to rootDir (default: the config's sourceDir)
+ * @param {(event: {level: string, message: string}) => void} [options.onEvent] - Receives progress and warnings
+ * @returns {Promise<{id: string, name: string, sourceDir: string, created: string[], configUpdated: boolean}>}
+ *   Paths are relative to rootDir
+ * @throws {Error} When the name is empty or the brand directory already exists
+ */
+export async function createBrand({ name, rootDir, config: configFile = DEFAULT_CONFIG_FILE, sourceDir, onEvent = () => {} } = {}) {
+    const brandId = toKebabCase(String(name ?? ''));
+    const brandTitle = toTitleCase(brandId);
+    if (!brandId) {
+        throw new Error('Brand name is required');
+    }
+    if (typeof configFile !== 'string') {
+        throw new Error('config must be the path of the config file the brand is added to');
+    }
+
+    const { rootDir: root, configPath, config } = await loadConfig({ rootDir, config: configFile });
+    const created = [];
+    const relative = filePath => path.relative(root, filePath);
+    const emit = (message, level = 'info') => onEvent({ level, message });
+
+    emit(`Creating brand: ${brandTitle} (${brandId})`);
+
+    // Check if brand already exists
+    const brandSourceDir = path.join(root, sourceDir || config.sourceDir || '_source', 'brands', brandId);
+    if (await pathExists(brandSourceDir)) {
+        throw new Error(`Brand "${brandId}" already exists at ${relative(brandSourceDir)}`);
+    }
+
+    // Create directory structure
+    const directories = [
+        path.join(brandSourceDir, 'logos'),
+        path.join(brandSourceDir, 'icons'),
+        path.join(brandSourceDir, 'images')
+    ];
+
+    for (const dir of directories) {
+        await fs.mkdir(dir, { recursive: true });
+        created.push(relative(dir));
+        emit(`Created ${relative(dir)}`, 'success');
+    }
+
+    // Create placeholder README
+    const readmePath = path.join(brandSourceDir, 'README.md');
+    const readmeContent = `# ${brandTitle}
+
+## Source Assets
+
+Place your source files in the appropriate directories:
+
+- \`logos/\` - Brand logos (SVG recommended, minimum 512×512 for rasters)
+- \`icons/\` - Icons and symbols
+- \`images/\` - Other brand images
+
+## Naming Convention
+
+Use kebab-case for all filenames:
+- \`logo.svg\` - Primary logo
+- \`logo-dark.svg\` - Logo for dark backgrounds
+- \`logo-on-brand.svg\` - Logo with brand color background
+- \`icon.svg\` - Primary icon
+
+See the [naming conventions](../../README.md) for full details.
+
+## Building
+
+\`\`\`bash
+# Build only this brand
+npm run build:brand ${brandId}
+
+# Build all brands
+npm run build
+\`\`\`
+`;
+    await fs.writeFile(readmePath, readmeContent);
+    created.push(relative(readmePath));
+    emit(`Created ${relative(readmePath)}`, 'success');
+
+    // Create metadata file for better search/display names
+    const metaPath = path.join(brandSourceDir, 'meta.json');
+    const metaContent = {
+        brand: {
+            displayName: brandTitle,
+            description: "",
+            tags: [],
+            aliases: []
+        },
+        assets: {
+            logos: {
+                logo: {
+                    displayName: "Primary Logo",
+                    tags: ["primary"],
+                    aliases: ["logo"],
+                    sortKey: 10
+                },
+                "logo-on-brand": {
+                    displayName: "Logo (On Brand)",
+                    tags: ["on-brand"],
+                    aliases: ["logo on brand"],
+                    sortKey: 20
+                }
+            },
+            icons: {
+                icon: {
+                    displayName: "App Icon",
+                    tags: ["icon"],
+                    aliases: ["favicon"],
+                    sortKey: 10
+                }
+            }
+        }
+    };
+    await fs.writeFile(metaPath, JSON.stringify(metaContent, null, 2));
+    created.push(relative(metaPath));
+    emit(`Created ${relative(metaPath)}`, 'success');
+
+    // Update the config file
+    let configUpdated = false;
+    config.brands ??= {};
+    if (config.brands[brandId]) {
+        emit(`Brand "${brandId}" already exists in config`, 'warn');
+    } else {
+        // Add default brand config (sizes reference named presets)
+        config.brands[brandId] = {
+            logos: {
+                sizes: "favicons",
+                formats: ["original", "webp", "avif", "png"]
+            },
+            icons: {
+                sizes: "icons"
+            }
+        };
+
+        await fs.writeFile(configPath, JSON.stringify(config, null, 4));
+        configUpdated = true;
+        emit(`Added "${brandId}" to ${relative(configPath)}`, 'success');
+    }
+
+    return { id: brandId, name: brandTitle, sourceDir: relative(brandSourceDir), created, configUpdated };
+}
@@ -0,0 +1,2304 @@
+/**
+ * Asset Generation Pipeline
+ * 
+ * Processes source assets and generates optimized variants:
+ * - Format conversion (WebP, AVIF)
+ * - Size variants (thumbnails, retina)
+ * - SVG optimization
+ * - Image compression
+ * - Shared CSS/JS minification and font subsetting (WOFF2)
+ * - Build report (JSON + Markdown) and size budgets
+ * 
+ * Exposed through the Node API (scripts/api.js) as buildAssets() and
+ * buildManifest(); the CLI (scripts/cli.js) is a thin layer on top of it.
+ * Progress, warnings and errors are reported as `{level, message}` events.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import { performance } from 'perf_hooks';
+import sharp from 'sharp';
+import { optimize } from 'svgo';
+import { transform } from 'esbuild';
+import subsetFont from 'subset-font';
+import { resolveSizes } from './presets.js';
+import { encodeIco } from './ico.js';
+import { resolveCrops, getCropRegion } from './crops.js';
+import { deriveSvgVariant } from './svg-variants.js';
+import { addSvgMetadata } from './svg-metadata.js';
+import { resolveEncoding, applyEncoding } from './encoding.js';
+import { createPool } from './pool.js';
+import { getFiles } from './files.js';
+import { resolveTokens, renderTokenFiles, TOKEN_FILES } from './tokens.js';
+import { unicodeRangeToText, DEFAULT_UNICODE_RANGE } from './unicode-range.js';
+import { getPlaceholder } from './placeholders.js';
+import { resolveVersions } from './versions.js';
+import { resolveCdn, getBaseUrls } from './cdn.js';
+import { resolveBudgets, createReport, renderReportMarkdown, formatBytes } from './report.js';
+import { loadConfig, DEFAULT_ROOT_DIR } from './config.js';
+import { VECTOR_EXTENSIONS, SHARED_FORMATS, getImageFormat, getUnsupportedReason } from './formats.js';
+
+// Build caches and derived sources, relative to the root directory
+const CACHE_DIR = path.join('.cache', 'generate-assets');
+const DERIVED_DIR = path.join('.cache', 'derived');
+
+// Bump when output-affecting generator logic changes to invalidate old caches
+const CACHE_VERSION = 7;
+
+// Brand config keys that are options rather than asset type directories
+const BRAND_OPTION_KEYS = new Set(['favicon']);
+
+// State of the current run (set by startRun). Runs are queued, so only one
+// build uses it at a time.
+let rootDir = null;
+
+// Plan outputs and deletions without writing to the output directory
+let dryRun = false;
+
+// Git ref CDN URLs are pinned to instead of `cdn.ref`
+let cdnRef = null;
+
+// Derived variant sources of a dry run, kept in memory under the path they
+// would have in DERIVED_DIR (see readSource)
+let derivedSources = new Map();
+
+// Bounded pool shared by all encode jobs across brands and files (sized by `jobs`)
+let pool = createPool(os.availableParallelism());
+
+// Receives the events of the current run; warnings and errors are also collected
+let emit = () => {};
+let issues = { warnings: [], errors: [] };
+
+// One run at a time
+const runs = createPool(1);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Configuration
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve the options shared by buildAssets() and buildManifest() and reset
+ * the run state. Returns the selected version namespaces.
+ */
+async function startRun(options) {
+    const loaded = await loadConfig(options);
+    rootDir = loaded.rootDir;
+    dryRun = Boolean(options.dryRun);
+    cdnRef = options.ref || null;
+    derivedSources = new Map();
+    emit = options.onEvent || (() => {});
+    issues = { warnings: [], errors: [] };
+
+    const versionIndex = await resolveVersions(loaded.config, rootDir);
+    const filter = options.versions?.length > 0 ? options.versions : null;
+    const unknown = (filter || []).filter(id => !versionIndex.versions.some(version => version.id === id));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown version namespace: ${unknown.join(', ')} (configured: ${versionIndex.versions.map(version => version.id).join(', ')})`);
+    }
+    const versions = versionIndex.versions.filter(version => !filter || filter.includes(version.id));
+
+    const configuredBrands = new Set(versions.flatMap(version => Object.keys(version.config.brands || {})));
+    const unknownBrands = (options.brands || []).filter(id => !configuredBrands.has(id));
+    if (unknownBrands.length > 0) {
+        throw new Error(`Unknown brand: ${unknownBrands.join(', ')} (configured: ${[...configuredBrands].join(', ') || 'none'})`);
+    }
+
+    // Fail on a bad CDN or budget config before anything is encoded
+    versions.forEach(version => {
+        getCdn(version.config);
+        resolveBudgets(version.config.budgets);
+    });
+
+    return { versionIndex, versions };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Utilities
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Report an event of the current run. `level` is info or success (progress),
+ * warn, error, or detail (an indented line belonging to the previous event).
+ */
+function log(message, level = 'info') {
+    // Per-file success lines would read as done work; the plan is listed instead
+    if (dryRun && level === 'success') return;
+    if (level === 'warn') issues.warnings.push(message.trim());
+    if (level === 'error') issues.errors.push(message.trim());
+    emit({ level, message });
+}
+
+async function ensureDir(dirPath) {
+    await fs.mkdir(dirPath, { recursive: true });
+}
+
+function getBaseName(filePath) {
+    return path.basename(filePath, path.extname(filePath));
+}
+
+function toTitleCaseFromKebab(str) {
+    return String(str)
+        .split('-')
+        .filter(Boolean)
+        .map(w => w.charAt(0).toUpperCase() + w.slice(1))
+        .join(' ');
+}
+
+function normalizeStringArray(value) {
+    if (!value) return [];
+    const items = Array.isArray(value) ? value : [value];
+    const deduped = new Map();
+    for (const item of items) {
+        if (typeof item !== 'string') continue;
+        const trimmed = item.trim();
+        if (!trimmed) continue;
+        const key = trimmed.toLowerCase();
+        if (!deduped.has(key)) deduped.set(key, trimmed);
+    }
+    return Array.from(deduped.values());
+}
+
+function normalizeOptionalString(value) {
+    if (typeof value !== 'string') return undefined;
+    const trimmed = value.trim();
+    return trimmed ? trimmed : undefined;
+}
+
+/**
+ * Display name and description of an asset, shared by the manifest and the
+ * SVG <title>/<desc>: meta.json first, then the description of its derived
+ * variant type and a name from its id.
+ */
+function getAssetText(assetName, assetMeta, derived, config) {
+    const variantDescription = derived
+        ? config.variants?.types?.find(type => type.suffix === `-${derived.variant}`)?.description
+        : undefined;
+    return {
+        displayName: normalizeOptionalString(assetMeta?.displayName)
+            || normalizeOptionalString(assetMeta?.name)
+            || toTitleCaseFromKebab(assetName),
+        description: normalizeOptionalString(assetMeta?.description)
+            || normalizeOptionalString(variantDescription),
+    };
+}
+
+async function readJsonIfExists(filePath) {
+    try {
+        const content = await fs.readFile(filePath, 'utf-8');
+        return JSON.parse(content);
+    } catch (err) {
+        if (err && err.code !== 'ENOENT') {
+            log(`Failed to parse JSON: ${path.relative(rootDir, filePath)}`, 'warn');
+        }
+        return null;
+    }
+}
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Version namespace of a config ("site/v1" -> "v1")
+ */
+function getVersionId(config) {
+    return path.basename(config.outputDir);
+}
+
+/**
+ * Path relative to the site root, where all version namespaces live
+ * (e.g. "v1/brands/acme/favicons")
+ */
+function getSitePath(config, ...parts) {
+    const outputDir = path.join(rootDir, config.outputDir);
+    return path.relative(path.dirname(outputDir), path.join(outputDir, ...parts)).split(path.sep).join('/');
+}
+
+/**
+ * CDN providers of a version with URL templates expanded for the pinned ref
+ */
+function getCdn(config) {
+    return resolveCdn(config, { ref: cdnRef });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Build Cache
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * With `force`, existing entries are kept (their variant records still feed
+ * the manifest for brands that aren't rebuilt) but never reused.
+ */
+async function loadBuildCache(force, cachePath) {
+    const cache = {
+        path: cachePath,
+        entries: {},
+        force,
+        visited: new Set(),
+        planned: [],
+        stats: { reused: 0, rebuilt: 0 }
+    };
+
+    const data = await readJsonIfExists(cachePath);
+    if (data?.version === CACHE_VERSION && data.entries) {
+        cache.entries = data.entries;
+    }
+    return cache;
+}
+
+async function saveBuildCache(cache) {
+    await ensureDir(path.dirname(cache.path));
+    await fs.writeFile(cache.path, JSON.stringify({
+        version: CACHE_VERSION,
+        entries: cache.entries
+    }, null, 2));
+}
+
+/**
+ * Settings that affect the outputs of a single source file. Any change here
+ * (sizes, formats, encoder options, svgo options...) invalidates the cache entry.
+ */
+function getEffectiveSettings(sourcePath, assetConfig, config) {
+    const formats = assetConfig.formats || config.defaults.formats || ['original'];
+    const { kind, original } = getImageFormat(sourcePath);
+    const settings = {
+        sizes: assetConfig.sizes || [],
+        formats,
+        generateRetina: assetConfig.generateRetina || false,
+        layout: Object.fromEntries(LAYOUT_KEYS.map(key => [key, assetConfig[key]])),
+        encoding: Object.fromEntries(formats.map(format => [
+            format,
+            resolveEncoding(format === 'original' ? original : format, getEncodingLayers(assetConfig, config))
+        ])),
+        useSemanticNames: config.useSemanticNames || false,
+        presets: config.useSemanticNames ? config.presets : undefined,
+        hashedFilenames: getHashOptions(config)
+    };
+    if (kind === 'vector') {
+        settings.svgo = config.svgo;
+    }
+    if (assetConfig.posterFrame !== undefined) {
+        settings.posterFrame = assetConfig.posterFrame;
+    }
+    if (assetConfig.crops !== undefined) {
+        settings.crops = { crops: assetConfig.crops, focalPoint: assetConfig.focalPoint };
+    }
+    return settings;
+}
+
+/**
+ * Encoder config layers for a source, lowest precedence first: global
+ * defaults, the brand's asset type config, then the asset's meta.json entry.
+ */
+function getEncodingLayers(assetConfig, config) {
+    return [config.defaults, assetConfig, assetConfig.assetMeta];
+}
+
+/**
+ * Run `build` for a source file unless its content hash and effective
+ * settings match the cache and all previously generated outputs still exist.
+ * `build` must resolve to the outputs it wrote: absolute paths, or variant
+ * records (see processRasterImage) which are kept for the manifest.
+ * `sourcePath` may be a list for outputs combining several sources; `cacheId`
+ * distinguishes several builds from the same source(s).
+ */
+async function buildCached(cache, sourcePath, settings, build, cacheId = path.relative(rootDir, sourcePath)) {
+    const sourcePaths = Array.isArray(sourcePath) ? sourcePath : [sourcePath];
+    const hash = createHash('sha256');
+    for (const filePath of sourcePaths) {
+        hash.update(path.relative(rootDir, filePath)).update(await readSource(filePath));
+    }
+    const key = hash.update(JSON.stringify(settings)).digest('hex');
+    const entry = cache.entries[cacheId];
+    cache.visited.add(cacheId);
+
+    if (!cache.force && entry?.key === key) {
+        const outputPaths = entry.outputs.map(output => path.join(rootDir, output));
+        const existing = await Promise.all(outputPaths.map(fileExists));
+        if (existing.every(Boolean)) {
+            cache.stats.reused += outputPaths.length;
+            log(`${path.basename(Array.isArray(sourcePath) ? cacheId : sourcePath)} unchanged (${outputPaths.length} files reused)`, 'info');
+            return;
+        }
+    }
+
+    const results = await build();
+    const variants = results.filter(result => typeof result !== 'string');
+    const outputs = results.flatMap(result => typeof result === 'string'
+        ? [result]
+        : [result.path, result.hashedPath].filter(Boolean));
+    // Pool tasks are labelled with their output path
+    const timings = new Map(pool.timings.map(timing => [timing.label, Math.round(timing.ms)]));
+
+    if (dryRun) {
+        cache.planned.push(...outputs);
+        // Hashed names depend on content that isn't rendered, so assume the
+        // previous hashed copy of each still-planned output
+        const planned = new Set(outputs.map(output => path.relative(rootDir, output)));
+        outputs.push(...(entry?.variants || [])
+            .filter(variant => variant.hashedPath && planned.has(variant.path))
+            .map(variant => path.join(rootDir, variant.hashedPath)));
+    }
+
+    cache.entries[cacheId] = {
+        key,
+        sources: sourcePaths.map(filePath => path.relative(rootDir, filePath)),
+        outputs: outputs.map(output => path.relative(rootDir, output)),
+        encodeMs: Object.fromEntries(outputs
+            .map(output => path.relative(rootDir, output))
+            .filter(output => timings.has(output))
+            .map(output => [output, timings.get(output)])),
+        ...(variants.length > 0 ? {
+            variants: variants.map(variant => ({
+                ...variant,
+                path: path.relative(rootDir, variant.path),
+                ...(variant.hashedPath ? { hashedPath: path.relative(rootDir, variant.hashedPath) } : {})
+            }))
+        } : {})
+    };
+    cache.stats.rebuilt += outputs.length;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SVG Processing
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Optimize an SVG with SVGO, then add its <title>, <desc> and rights
+ * metadata when `svgMetadata` is given (see lib/svg-metadata.js).
+ */
+async function processSvg(inputPath, outputPath, svgMetadata, config) {
+    const content = (await readSource(inputPath)).toString('utf-8');
+    const result = await pool.run(async () => {
+        const { data } = optimize(content, {
+            path: inputPath,
+            ...config.svgo,
+        });
+        const optimized = {
+            data: svgMetadata ? addSvgMetadata(data, svgMetadata) : data,
+            optimizedSize: Buffer.byteLength(data, 'utf8'),
+        };
+        if (!dryRun) {
+            await ensureDir(path.dirname(outputPath));
+            await fs.writeFile(outputPath, optimized.data);
+        }
+        return optimized;
+    }, path.relative(rootDir, outputPath));
+
+    // SVGO savings, not counting the added <title>, <desc> and <metadata>
+    const inputSize = Buffer.byteLength(content, 'utf8');
+    const savings = ((1 - result.optimizedSize / inputSize) * 100).toFixed(1);
+    const added = Buffer.byteLength(result.data, 'utf8') - result.optimizedSize;
+
+    log(`${path.basename(outputPath)} (${savings}% smaller${added > 0 ? `, +${formatBytes(added)} metadata` : ''})`, 'success');
+
+    const { width, height } = await sharp(Buffer.from(result.data)).metadata();
+    return {
+        path: outputPath,
+        asset: getBaseName(inputPath),
+        format: 'svg',
+        sizeName: null,
+        size: null,
+        width,
+        height,
+        density: 1
+    };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Layout (fit, padding, background)
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Options accepted on size entries and, as defaults, on asset type configs
+const LAYOUT_KEYS = ['fit', 'padding', 'safeZone', 'background', 'position'];
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+/**
+ * Resolve layout options for a size entry. Fixed-dimension sizes (width and
+ * height) default to `contain` so the output has exactly those dimensions;
+ * width-only sizes always scale proportionally (`inside`).
+ */
+function getSizeLayout(sizeConfig, assetConfig) {
+    const layout = {};
+    for (const key of LAYOUT_KEYS) {
+        const value = sizeConfig[key] ?? assetConfig[key];
+        if (value !== undefined) layout[key] = value;
+    }
+    layout.fit = sizeConfig.height ? (layout.fit || 'contain') : 'inside';
+    return layout;
+}
+
+// Accepts pixels (60) or a percentage of `dimension` ("10%")
+function toPixels(value, dimension) {
+    if (typeof value === 'string' && value.trim().endsWith('%')) {
+        return Math.round(dimension * parseFloat(value) / 100);
+    }
+    return Math.round(Number(value) || 0);
+}
+
+// Accepts a fraction (0.1) or a percentage ("10%")
+function toFraction(value) {
+    if (typeof value === 'string' && value.trim().endsWith('%')) {
+        return parseFloat(value) / 100;
+    }
+    return Number(value) || 0;
+}
+
+/**
+ * Area the source is fitted into for `contain`: the canvas minus padding and
+ * safe-zone margins on each side. Pixel padding scales with the retina multiplier.
+ */
+function getContentBox(width, height, layout, multiplier) {
+    const shortSide = Math.min(width, height);
+    const padding = typeof layout.padding === 'string'
+        ? toPixels(layout.padding, shortSide)
+        : toPixels(layout.padding, shortSide) * multiplier;
+    const safeZone = toFraction(layout.safeZone);
+
+    return {
+        width: Math.max(1, width - 2 * (padding + Math.round(width * safeZone))),
+        height: Math.max(1, height - 2 * (padding + Math.round(height * safeZone))),
+    };
+}
+
+/**
+ * Scale factor applied to the source for a given output; above 1 means the
+ * source would have to be enlarged.
+ */
+function getSourceScale(metadata, width, height, layout, multiplier = 1) {
+    if (layout.region) {
+        return width / layout.region.width;
+    }
+    if (layout.fit === 'cover') {
+        return Math.max(width / metadata.width, height / metadata.height);
+    }
+    if (layout.fit === 'contain') {
+        const box = getContentBox(width, height, layout, multiplier);
+        return Math.min(box.width / metadata.width, box.height / metadata.height);
+    }
+    return width / metadata.width;
+}
+
+/**
+ * Build the resize part of the sharp pipeline for one output. SVG sources are
+ * rasterized at a higher density instead of being upscaled. A `region` (crop,
+ * in source pixels) is cut out before resizing. `frames` selects
+ * the frames of an animated source: `{ animated: true }` for all of them
+ * (resized one by one, timing kept) or `{ page }` for a single one.
+ */
+function createResizePipeline(inputPath, metadata, width, height, layout, multiplier, frames = {}) {
+    if (layout.fit === 'inside') {
+        return sharp(getSharpInput(inputPath), frames).resize(width, height, {
+            fit: 'inside',
+            withoutEnlargement: true,
+        });
+    }
+
+    const scale = getSourceScale(metadata, width, height, layout, multiplier);
+    const isSvg = metadata.format === 'svg';
+    const baseDensity = metadata.density || 72;
+    const density = isSvg && scale > 1 ? Math.ceil(baseDensity * scale) : null;
+    const pipeline = sharp(getSharpInput(inputPath), density ? { density } : frames);
+    const background = layout.background ?? TRANSPARENT;
+
+    if (layout.background !== undefined) {
+        pipeline.flatten({ background });
+    }
+
+    if (layout.region) {
+        // An SVG rendered at a higher density is larger than its region coordinates
+        const factor = density ? density / baseDensity : 1;
+        const left = Math.floor(layout.region.left * factor);
+        const top = Math.floor(layout.region.top * factor);
+        return pipeline
+            .extract({
+                left,
+                top,
+                width: Math.min(Math.floor(layout.region.width * factor), Math.floor(metadata.width * factor) - left),
+                height: Math.min(Math.floor(layout.region.height * factor), Math.floor(metadata.height * factor) - top),
+            })
+            .resize(width, height, { fit: 'cover' });
+    }
+
+    if (layout.fit === 'cover') {
+        return pipeline.resize(width, height, {
+            fit: 'cover',
+            position: layout.position || 'centre',
+        });
+    }
+
+    // contain: fit into the content box, then pad out to the full canvas
+    const box = getContentBox(width, height, layout, multiplier);
+    const left = Math.floor((width - box.width) / 2);
+    const top = Math.floor((height - box.height) / 2);
+    return pipeline
+        .resize(box.width, box.height, { fit: 'contain', background })
+        .extend({
+            top,
+            bottom: height - box.height - top,
+            left,
+            right: width - box.width - left,
+            background,
+        });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Raster Image Processing
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Formats that keep every frame of an animated source; other formats get
+// the poster frame (libvips can't encode animated AVIF)
+const ANIMATED_FORMATS = new Set(['webp', 'gif']);
+
+/**
+ * Frame of an animated source used for static outputs and posters: the
+ * asset's `posterFrame` (meta.json), clamped to the frames there are.
+ */
+function getPosterFrame(metadata, assetConfig) {
+    return Math.min(assetConfig.posterFrame ?? 0, metadata.pages - 1);
+}
+
+/**
+ * Generate the size/format/density variants of a source image. Resolves to a
+ * variant record per written file: `{ path, asset, format, sizeName, size,
+ * width, height, density }`, where `size` is the configured (1x) width and
+ * `width`/`height` are the actual pixel dimensions (of one frame).
+ *
+ * Animated GIF/WebP sources stay animated in WebP and GIF outputs (records
+ * get `frames`); every size also gets a PNG poster frame (`poster: true`).
+ *
+ * Crops from meta.json are written at every width as `<asset>-<crop>-<size>`
+ * (records get `crop: { name, aspectRatio, focalPoint }`).
+ */
+async function processRasterImage(inputPath, outputDir, assetConfig, globalConfig) {
+    const baseName = getBaseName(inputPath);
+    const sourceFormat = getImageFormat(inputPath);
+    const image = sharp(getSharpInput(inputPath));
+    const metadata = await image.metadata(); // width/height of the first frame
+    const animated = (metadata.pages || 1) > 1 && Boolean(sourceFormat.animated);
+    const posterFrame = animated ? getPosterFrame(metadata, assetConfig) : 0;
+
+    const sizes = assetConfig.sizes || []; // Resolved from presets by processBrand()
+    const formats = assetConfig.formats || globalConfig.defaults.formats || ['original'];
+    const generateRetina = assetConfig.generateRetina || false;
+    const encodingLayers = getEncodingLayers(assetConfig, globalConfig);
+
+    if (!dryRun) await ensureDir(outputDir);
+
+    const tasks = [];
+    const outputs = [];
+
+    // Generate size variants
+    const sizeVariants = sizes.length > 0 ? sizes : [{ name: null, width: metadata.width }];
+    const useSemanticNames = globalConfig.useSemanticNames || false;
+
+    // Build a lookup from width -> semantic name from presets (for semantic naming)
+    const widthToSemanticName = new Map();
+    if (useSemanticNames && globalConfig.presets) {
+        for (const presetName of Object.keys(globalConfig.presets)) {
+            for (const entry of resolveSizes(presetName, globalConfig.presets)) {
+                if (entry.width && entry.name && !/^\d+$/.test(entry.name)) {
+                    widthToSemanticName.set(entry.width, entry.name);
+                }
+            }
+        }
+    }
+
+    // Uncropped sizes, then every crop at every width (the crop's aspect
+    // ratio sets the height)
+    const targets = sizeVariants.map(sizeConfig => ({ sizeConfig, layout: getSizeLayout(sizeConfig, assetConfig) }));
+    for (const crop of resolveCrops(assetConfig)) {
+        const region = getCropRegion(metadata.width, metadata.height, crop);
+        const cropSizes = sizes.length > 0 ? sizes : [{ name: null, width: region.width }];
+        for (const sizeConfig of cropSizes) {
+            targets.push({
+                sizeConfig: { ...sizeConfig, height: Math.round(sizeConfig.width / crop.ratio) },
+                layout: { fit: 'cover', region },
+                crop: { name: crop.name, aspectRatio: crop.aspectRatio, focalPoint: crop.focalPoint },
+            });
+        }
+    }
+
+    for (const { sizeConfig, layout, crop } of targets) {
+        const width = sizeConfig.width;
+        const height = sizeConfig.height;
+        // Use semantic name if enabled and available, otherwise fall back to configured name
+        const semanticName = useSemanticNames ? widthToSemanticName.get(width) : null;
+        const sizeName = semanticName || sizeConfig.name || null;
+        const sizeSuffix = `${crop ? `-${crop.name}` : ''}${sizeName ? `-${sizeName}` : ''}`;
+
+        // Skip if requested size is larger than source (vectors can be re-rendered larger
+        // when the output has fixed dimensions)
+        const canEnlarge = metadata.format === 'svg' && layout.fit !== 'inside';
+        const fitsSource = multiplier => canEnlarge
+            || getSourceScale(metadata, width * multiplier, height * multiplier, layout, multiplier) <= 1;
+
+        if (!fitsSource(1)) {
+            log(`Skipping ${baseName}${sizeSuffix} (source too small)`, 'warn');
+            continue;
+        }
+
+        const retinaMultipliers = generateRetina && fitsSource(2)
+            ? [1, 2]
+            : [1];
+
+        for (const multiplier of retinaMultipliers) {
+            const actualWidth = width * multiplier;
+            const actualHeight = height ? height * multiplier : undefined;
+            const retinaSuffix = multiplier > 1 ? `@${multiplier}x` : '';
+
+            const addTask = (outputName, outputFormat, record) => {
+                const outputPath = path.join(outputDir, outputName);
+                const frames = record.frames ? { animated: true } : { page: posterFrame };
+
+                tasks.push({ label: path.relative(rootDir, outputPath), task: async () => {
+                    const pipeline = applyEncoding(
+                        createResizePipeline(inputPath, metadata, actualWidth, actualHeight, layout, multiplier, frames),
+                        outputFormat,
+                        resolveEncoding(outputFormat, encodingLayers)
+                    );
+
+                    const info = dryRun
+                        ? { width: actualWidth, height: actualHeight ?? Math.round(actualWidth * metadata.height / metadata.width) }
+                        : await pipeline.toFile(outputPath);
+                    outputs.push({
+                        path: outputPath,
+                        asset: baseName,
+                        format: outputFormat,
+                        sizeName,
+                        size: sizes.length > 0 ? width : null,
+                        width: info.width,
+                        // Animated outputs are a strip of frames
+                        height: info.pageHeight ?? info.height,
+                        density: multiplier,
+                        ...record
+                    });
+                    log(`${outputName}`, 'success');
+                } });
+            };
+
+            // "original" may repeat a listed format (e.g. for WebP sources)
+            for (const outputFormat of new Set(formats.map(format => format === 'original' ? sourceFormat.original : format))) {
+                // Skip SVG - Sharp can't output SVG, it's handled separately by processSvg()
+                if (outputFormat === 'svg') continue;
+
+                const keepsFrames = animated && ANIMATED_FORMATS.has(outputFormat);
+                addTask(`${baseName}${sizeSuffix}${retinaSuffix}.${outputFormat}`, outputFormat, {
+                    ...(keepsFrames ? { frames: metadata.pages } : {}),
+                    ...(crop ? { crop } : {}),
+                });
+            }
+
+            if (animated && !crop) {
+                addTask(`${baseName}-poster${sizeSuffix}${retinaSuffix}.png`, 'png', { poster: true });
+            }
+        }
+    }
+
+    if (animated && formats.includes('avif')) {
+        log(`${baseName}: AVIF can't be animated, AVIF outputs show frame ${posterFrame + 1} of ${metadata.pages}`, 'warn');
+    }
+
+    // Encode through the shared pool
+    await Promise.all(tasks.map(({ task, label }) => pool.run(task, label)));
+
+    return outputs;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Favicon Bundle
+// ─────────────────────────────────────────────────────────────────────────────
+
+const FAVICON_DEFAULTS = {
+    sources: ['icons/icon.svg', 'icons/icon.png', 'logos/logo-icon.svg', 'logos/logo.svg', 'logos/logo.png'],
+    icoSizes: [16, 32, 48],
+    themeColor: '#ffffff',
+    backgroundColor: '#ffffff',
+};
+
+/**
+ * Normalize the brand-level `favicon` option (`true` or an object).
+ * Returns null when the brand hasn't opted in.
+ */
+function getFaviconOptions(brandConfig) {
+    const option = brandConfig.favicon;
+    if (!option) return null;
+    const options = option === true ? {} : option;
+    return {
+        source: options.source,
+        icoSizes: options.icoSizes || FAVICON_DEFAULTS.icoSizes,
+        themeColor: options.themeColor || FAVICON_DEFAULTS.themeColor,
+        backgroundColor: options.backgroundColor || FAVICON_DEFAULTS.backgroundColor,
+        name: options.name,
+        shortName: options.shortName,
+    };
+}
+
+async function resolveFaviconSource(sourceDir, options) {
+    const candidates = options.source ? [options.source] : FAVICON_DEFAULTS.sources;
+    for (const candidate of candidates) {
+        const candidatePath = path.join(sourceDir, candidate);
+        if (await fileExists(candidatePath)) return candidatePath;
+    }
+    return null;
+}
+
+/**
+ * Files that make up a favicon bundle, derived from `presets.favicons` and
+ * `presets.appIcons`. Shared by the generator and the manifest so both agree
+ * on file names without parsing them back.
+ */
+function getFaviconPlan(config) {
+    const presets = config.presets || {};
+    const icons = [
+        ...resolveSizes(presets.favicons, presets).map(preset => ({ ...preset, file: `favicon-${preset.name}.png` })),
+        ...resolveSizes(presets.appIcons, presets).map(preset => ({ ...preset, file: `${preset.name}.png` })),
+    ];
+    return icons.map(icon => ({
+        file: icon.file,
+        format: 'png',
+        width: icon.width,
+        height: icon.height || icon.width,
+        rel: icon.name.startsWith('apple-touch') ? 'apple-touch-icon'
+            : icon.name.startsWith('android-chrome') ? 'manifest'
+                : icon.name.startsWith('mstile') ? 'msapplication'
+                    : 'icon',
+    }));
+}
+
+function renderSquareIcon(inputPath, size) {
+    return sharp(getSharpInput(inputPath))
+        .resize(size, size, {
+            fit: 'contain',
+            background: TRANSPARENT,
+        })
+        .png({ compressionLevel: 9 });
+}
+
+function buildWebManifest(plan, options, brandName) {
+    const icons = plan
+        .filter(icon => icon.rel === 'manifest')
+        .map(icon => ({
+            src: icon.file,
+            sizes: `${icon.width}x${icon.height}`,
+            type: 'image/png',
+        }));
+
+    return {
+        name: options.name || brandName,
+        short_name: options.shortName || options.name || brandName,
+        icons,
+        theme_color: options.themeColor,
+        background_color: options.backgroundColor,
+        display: 'standalone',
+    };
+}
+
+function buildBrowserConfig(plan, options) {
+    const tiles = plan
+        .filter(icon => icon.rel === 'msapplication')
+        .map(icon => `            <square${icon.width}x${icon.height}logo src="${icon.file}"/>`);
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<browserconfig>',
+        '    <msapplication>',
+        '        <tile>',
+        ...tiles,
+        `            <TileColor>${options.themeColor}</TileColor>`,
+        '        </tile>',
+        '    </msapplication>',
+        '</browserconfig>',
+        '',
+    ].join('\n');
+}
+
+function buildFaviconSnippet(plan, options, baseUrl, hasSvg) {
+    const url = file => baseUrl + file;
+    const lines = [
+        `<link rel="icon" href="${url('favicon.ico')}" sizes="any">`,
+    ];
+    if (hasSvg) {
+        lines.push(`<link rel="icon" type="image/svg+xml" href="${url('favicon.svg')}">`);
+    }
+    for (const icon of plan) {
+        if (icon.rel === 'icon' && icon.width <= 96) {
+            lines.push(`<link rel="icon" type="image/png" sizes="${icon.width}x${icon.height}" href="${url(icon.file)}">`);
+        } else if (icon.rel === 'apple-touch-icon') {
+            lines.push(`<link rel="apple-touch-icon" sizes="${icon.width}x${icon.height}" href="${url(icon.file)}">`);
+        }
+    }
+    lines.push(
+        `<link rel="manifest" href="${url('site.webmanifest')}">`,
+        `<meta name="msapplication-config" content="${url('browserconfig.xml')}">`,
+        `<meta name="theme-color" content="${options.themeColor}">`,
+    );
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Generate a complete favicon bundle for a brand: favicon.ico, PNG favicons
+ * and app icons, site.webmanifest, browserconfig.xml and an HTML snippet.
+ * Returns the list of written output paths.
+ */
+async function processFaviconBundle(inputPath, outputDir, options, brandName, baseUrl, config) {
+    const plan = getFaviconPlan(config);
+    const metadata = await sharp(getSharpInput(inputPath)).metadata();
+    const hasSvg = path.extname(inputPath).toLowerCase() === '.svg';
+    const sourceSize = Math.min(metadata.width, metadata.height);
+    const outputs = [];
+
+    if (!dryRun) await ensureDir(outputDir);
+
+    const writeOutput = async (file, render) => {
+        const outputPath = path.join(outputDir, file);
+        if (!dryRun) {
+            await pool.run(async () => fs.writeFile(outputPath, await render()), path.relative(rootDir, outputPath));
+        }
+        outputs.push(outputPath);
+        log(file, 'success');
+    };
+
+    if (hasSvg) {
+        await processSvg(inputPath, path.join(outputDir, 'favicon.svg'), null, config);
+        outputs.push(path.join(outputDir, 'favicon.svg'));
+    }
+
+    const icons = plan.filter(icon => {
+        if (hasSvg || Math.max(icon.width, icon.height) <= sourceSize) return true;
+        log(`Skipping ${icon.file} (source too small)`, 'warn');
+        return false;
+    });
+    for (const icon of icons) {
+        await writeOutput(icon.file, () => renderSquareIcon(inputPath, icon.width).toBuffer());
+    }
+
+    // Same check for the ICO frames; a source smaller than all of them becomes the only frame
+    const icoSizes = options.icoSizes.filter(size => {
+        if (hasSvg || size <= sourceSize) return true;
+        log(`Skipping ${size}×${size} frame of favicon.ico (source too small)`, 'warn');
+        return false;
+    });
+    await writeOutput('favicon.ico', async () => encodeIco(await Promise.all((icoSizes.length > 0 ? icoSizes : [sourceSize]).map(async size => ({
+        size,
+        data: await renderSquareIcon(inputPath, size).toBuffer(),
+    })))));
+
+    const bundlePlan = plan.filter(icon => icons.includes(icon));
+    await writeOutput('site.webmanifest', () => JSON.stringify(buildWebManifest(bundlePlan, options, brandName), null, 2));
+    await writeOutput('browserconfig.xml', () => buildBrowserConfig(bundlePlan, options));
+    await writeOutput('favicon.html', () => buildFaviconSnippet(bundlePlan, options, baseUrl, hasSvg));
+
+    return outputs;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Design Tokens
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Export the `tokens` of a brand's meta.json (at `metaPath`) as CSS, SCSS,
+ * JSON and a Tailwind preset. Returns the written paths.
+ */
+async function processTokens(brandMeta, brand, metaPath, outputDir) {
+    const source = path.relative(rootDir, metaPath).split(path.sep).join('/');
+    const files = renderTokenFiles(resolveTokens(brandMeta.tokens), brand, source);
+    if (!dryRun) await ensureDir(outputDir);
+
+    const outputs = [];
+    for (const file of TOKEN_FILES) {
+        const outputPath = path.join(outputDir, file);
+        if (!dryRun) {
+            await pool.run(() => fs.writeFile(outputPath, files[file]), path.relative(rootDir, outputPath));
+        }
+        outputs.push(outputPath);
+        log(file, 'success');
+    }
+    return outputs;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SVG Sprites
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Root <svg> attributes that don't carry over to a <symbol>
+const NON_SYMBOL_ATTRS = new Set(['xmlns', 'xmlns:xlink', 'version', 'width', 'height', 'viewBox', 'id', 'x', 'y', 'xml:space']);
+
+/**
+ * Normalize the `sprite` option of an asset config (`true` or `{ prefix }`).
+ * Returns null when no sprite should be built.
+ */
+function getSpriteOptions(assetConfig) {
+    const option = assetConfig?.sprite;
+    if (!option) return null;
+    return { prefix: option === true ? '' : (option.prefix || '') };
+}
+
+/**
+ * Stable symbol ID from a source file name, e.g. "arrows/chevron-left.svg"
+ * becomes "arrows-chevron-left" (plus the configured prefix).
+ */
+function getSymbolId(sourceDir, filePath, prefix) {
+    const relativePath = path.relative(sourceDir, filePath);
+    const id = relativePath
+        .slice(0, -path.extname(relativePath).length)
+        .split(path.sep)
+        .join('-');
+    return `${prefix}${id}`.toLowerCase().replace(/[^a-z0-9_-]+/g, '-');
+}
+
+function getSpriteSymbols(sourceDir, svgFiles, options) {
+    const symbols = new Map();
+    for (const svgFile of svgFiles) {
+        const id = getSymbolId(sourceDir, svgFile, options.prefix);
+        if (symbols.has(id)) {
+            log(`Duplicate sprite symbol "${id}" (${path.relative(sourceDir, svgFile)}), skipping`, 'warn');
+            continue;
+        }
+        symbols.set(id, svgFile);
+    }
+    return symbols;
+}
+
+function buildSymbol(content, id, filePath, config) {
+    // Prefix internal IDs (gradients, clip paths...) so symbols can't collide
+    const svgo = config.svgo || {};
+    const { data } = optimize(content, {
+        path: filePath,
+        ...svgo,
+        plugins: [
+            ...(svgo.plugins || ['preset-default']),
+            { name: 'prefixIds', params: { prefix: id } },
+        ],
+    });
+
+    const rootTag = data.match(/<svg\b[^>]*>/)?.[0];
+    if (!rootTag) throw new Error(`Not an SVG document: ${filePath}`);
+
+    const attrs = {};
+    for (const [, name, , value] of rootTag.matchAll(/\s([\w:-]+)=(["'])(.*?)\2/g)) {
+        attrs[name] = value;
+    }
+    const viewBox = attrs.viewBox
+        || (attrs.width && attrs.height ? `0 0 ${parseFloat(attrs.width)} ${parseFloat(attrs.height)}` : null);
+    if (!viewBox) throw new Error(`SVG has no viewBox or dimensions: ${filePath}`);
+
+    const presentation = Object.entries(attrs)
+        .filter(([name]) => !NON_SYMBOL_ATTRS.has(name))
+        .map(([name, value]) => ` ${name}="${value}"`)
+        .join('');
+    const body = rootTag.endsWith('/>')
+        ? ''
+        : data.slice(data.indexOf(rootTag) + rootTag.length, data.lastIndexOf('</svg>'));
+
+    return `<symbol id="${id}" viewBox="${viewBox}"${presentation}>${body}</symbol>`;
+}
+
+/**
+ * Combine SVG files into a single <symbol> sprite. Returns the written path.
+ */
+async function processSprite(symbols, outputPath, config) {
+    const parts = [];
+    for (const [id, svgFile] of symbols) {
+        const content = await fs.readFile(svgFile, 'utf-8');
+        parts.push(buildSymbol(content, id, svgFile, config));
+    }
+
+    const body = parts.join('');
+    const xlink = body.includes('xlink:') ? ' xmlns:xlink="http://www.w3.org/1999/xlink"' : '';
+    if (!dryRun) {
+        await ensureDir(path.dirname(outputPath));
+        await fs.writeFile(outputPath, `<svg xmlns="http://www.w3.org/2000/svg"${xlink}>${body}</svg>`);
+    }
+
+    log(`${path.basename(outputPath)} (${symbols.size} symbols)`, 'success');
+    return [outputPath];
+}
+
+/**
+ * Build the sprite for one icon directory through the build cache.
+ */
+async function buildSprite(sourceDir, outputPath, options, config, cache) {
+    const svgFiles = (await getFiles(sourceDir, VECTOR_EXTENSIONS)).sort();
+    const symbols = getSpriteSymbols(sourceDir, svgFiles, options);
+    if (symbols.size === 0) return;
+
+    await buildCached(cache, [...symbols.values()], { sprite: options, svgo: config.svgo }, () =>
+        pool.run(() => processSprite(symbols, outputPath, config), path.relative(rootDir, outputPath)),
+        path.relative(rootDir, outputPath)
+    );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Derived Variants
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Variants to derive for an asset type (`deriveVariants` in its config).
+ * A hand-drawn source with the same name always takes precedence.
+ */
+async function getDerivedVariants(assetSourceDir, assetConfig) {
+    const from = assetConfig.deriveFrom || 'logo';
+    const derived = [];
+    for (const variant of assetConfig.deriveVariants || []) {
+        const id = `${from}-${variant}`;
+        if (await fileExists(path.join(assetSourceDir, `${id}.svg`))) continue;
+        derived.push({ id, variant, from });
+    }
+    return derived;
+}
+
+/**
+ * Colours for derived variants: `brand.colors`, falling back to the semantic
+ * colours of the brand's design tokens.
+ */
+function getBrandColors(brandMeta) {
+    const tokenColors = brandMeta?.tokens ? resolveTokens(brandMeta.tokens).colors : {};
+    return { ...tokenColors, ...brandMeta?.brand?.colors };
+}
+
+/**
+ * Write derived variant SVGs of the primary SVG to the cache directory so
+ * they can go through the normal SVG/raster pipeline. Returns their paths.
+ * A dry run keeps them in memory under the same paths instead.
+ */
+async function deriveVariantSources(brandName, assetType, assetSourceDir, assetConfig, brandMeta, config) {
+    const variants = await getDerivedVariants(assetSourceDir, assetConfig);
+    if (variants.length === 0) return [];
+
+    const from = assetConfig.deriveFrom || 'logo';
+    const primaryPath = path.join(assetSourceDir, `${from}.svg`);
+    if (!await fileExists(primaryPath)) {
+        log(`No ${from}.svg to derive variants from`, 'warn');
+        return [];
+    }
+
+    // Variants recolour hex and rgb() values, so end on a convertColors pass
+    // that writes hex instead of colour names (SVGO's default turns #ff0000 into red)
+    const svgo = config.svgo || {};
+    const primary = optimize(await fs.readFile(primaryPath, 'utf-8'), {
+        path: primaryPath,
+        ...svgo,
+        plugins: [
+            ...(svgo.plugins || ['preset-default']),
+            { name: 'convertColors', params: { names2hex: true, rgb2hex: true, shortname: false } },
+        ],
+    }).data;
+    const derivedDir = path.join(rootDir, DERIVED_DIR, getVersionId(config), brandName, assetType);
+    if (!dryRun) await ensureDir(derivedDir);
+
+    const derivedPaths = [];
+    for (const { id, variant } of variants) {
+        try {
+            const svg = deriveSvgVariant(primary, variant, getBrandColors(brandMeta));
+            const derivedPath = path.join(derivedDir, `${id}.svg`);
+            if (dryRun) derivedSources.set(derivedPath, Buffer.from(svg));
+            else await fs.writeFile(derivedPath, svg);
+            derivedPaths.push(derivedPath);
+        } catch (err) {
+            log(`Cannot derive ${id}: ${err.message}`, 'warn');
+        }
+    }
+    return derivedPaths;
+}
+
+/**
+ * Content of a source file, including derived sources only held in memory.
+ */
+async function readSource(filePath) {
+    return derivedSources.get(filePath) ?? fs.readFile(filePath);
+}
+
+// sharp takes the path, or the buffer of a derived source held in memory
+function getSharpInput(filePath) {
+    return derivedSources.get(filePath) ?? filePath;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Content-Hashed Filenames
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DEFAULT_HASH_LENGTH = 6;
+
+/**
+ * Normalize the top-level `hashedFilenames` option (`true` or `{ length }`).
+ * Returns null when hashed copies are disabled.
+ */
+function getHashOptions(config) {
+    const option = config.hashedFilenames;
+    if (!option) return null;
+    return { length: option === true ? DEFAULT_HASH_LENGTH : (option.length || DEFAULT_HASH_LENGTH) };
+}
+
+function getContentHash(content, options) {
+    return createHash('sha256').update(content).digest('hex').slice(0, options.length);
+}
+
+// logo-128.png + 3f9a1c -> logo-128.3f9a1c.png
+function toHashedName(file, hash) {
+    const ext = path.extname(file);
+    return `${path.basename(file, ext)}.${hash}${ext}`;
+}
+
+/**
+ * Write an immutable, content-hashed copy next to each output file and
+ * record its path on the variant record as `hashedPath`.
+ */
+async function addHashedCopies(variants, options) {
+    if (!options || dryRun) return variants;
+
+    return Promise.all(variants.map(async variant => {
+        const content = await fs.readFile(variant.path);
+        const hashedFile = toHashedName(path.basename(variant.path), getContentHash(content, options));
+        const hashedPath = path.join(path.dirname(variant.path), hashedFile);
+        await fs.writeFile(hashedPath, content);
+        return { ...variant, hashedPath };
+    }));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Placeholders
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * LQIP, ThumbHash, dominant colour and alpha flag of a source (null in dry run).
+ */
+async function processPlaceholder(inputPath) {
+    if (dryRun) return null;
+    return pool.run(() => getPlaceholder(inputPath), `${path.relative(rootDir, inputPath)}#placeholder`);
+}
+
+/**
+ * Keep the placeholder on the first variant record of a source, where the
+ * manifest picks it up for the asset.
+ */
+function withPlaceholder(variants, placeholder) {
+    if (!placeholder || variants.length === 0) return variants;
+    return [{ ...variants[0], placeholder }, ...variants.slice(1)];
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Brand Processing
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Build one asset type directory (SVGs, derived variants, sprite, raster
+ * images). `ownerId` names the brand (or "shared") the assets belong to.
+ */
+async function processAssetType(ownerId, assetType, typeConfig, sourceDir, outputDir, meta, config, cache) {
+    // Expand preset references ("sizes": "icons") into concrete size entries
+    const assetConfig = {
+        ...typeConfig,
+        sizes: resolveSizes(typeConfig.sizes ?? config.defaults?.sizes, config.presets),
+    };
+    const assetSourceDir = path.join(sourceDir, assetType);
+    const assetOutputDir = path.join(outputDir, assetType);
+
+    try {
+        await fs.access(assetSourceDir);
+    } catch {
+        log(`No source directory: ${ownerId}/${assetType}/`, 'warn');
+        return;
+    }
+
+    log(`  📁 ${ownerId}/${assetType}/`);
+
+    // Builds are started without waiting; their encodes are bounded by the pool
+    const jobs = [];
+
+    // Per-asset overrides (encoding, poster frame, crops) from meta.json
+    const getFileConfig = file => {
+        const assetMeta = meta?.assets?.[assetType]?.[getBaseName(file)];
+        return {
+            ...assetConfig,
+            ...(assetMeta?.encoding ? { assetMeta: { encoding: assetMeta.encoding } } : {}),
+            ...(assetMeta?.posterFrame !== undefined ? { posterFrame: assetMeta.posterFrame } : {}),
+            ...(assetMeta?.crops !== undefined ? { crops: assetMeta.crops, focalPoint: assetMeta.focalPoint } : {}),
+        };
+    };
+
+    // Sources sharing a base name (logo.svg, logo.jpg) write the same
+    // raster files, so they are built one after another, in order
+    const chains = new Map();
+    const inOrder = (file, build) => {
+        const key = getBaseName(file);
+        const job = (chains.get(key) || Promise.resolve()).then(build);
+        chains.set(key, job.catch(() => {}));
+        return job;
+    };
+
+    // Sources by pipeline; files no pipeline can build are reported
+    const svgFiles = [];
+    const rasterFiles = [];
+    for (const file of await getFiles(assetSourceDir)) {
+        if (path.basename(file).startsWith('.')) continue;
+        const reason = getUnsupportedReason(file);
+        if (reason) {
+            log(`Skipping ${path.relative(rootDir, file)}: ${reason}`, 'warn');
+        } else {
+            (getImageFormat(file).kind === 'vector' ? svgFiles : rasterFiles).push(file);
+        }
+    }
+
+    // Accessible name, description and rights of an optimized SVG; IDs are
+    // unique per owner, asset type and asset
+    const derivedVariants = new Map(
+        (await getDerivedVariants(assetSourceDir, assetConfig)).map(derived => [derived.id, derived])
+    );
+    const getSvgMetadata = file => {
+        const assetName = getBaseName(file);
+        const assetMeta = meta?.assets?.[assetType]?.[assetName];
+        const { displayName, description } = getAssetText(assetName, assetMeta, derivedVariants.get(assetName), config);
+        const copyright = normalizeOptionalString(assetMeta?.copyright) || normalizeOptionalString(meta?.brand?.copyright);
+        const license = normalizeOptionalString(assetMeta?.license) || normalizeOptionalString(meta?.brand?.license);
+        return {
+            id: `${ownerId}-${assetType}-${assetName}`,
+            title: displayName,
+            ...(description ? { description } : {}),
+            ...(copyright ? { copyright } : {}),
+            ...(license ? { license } : {}),
+        };
+    };
+
+    // Process SVGs (hand-drawn sources, then variants derived from the primary SVG)
+    const derivedFiles = await deriveVariantSources(ownerId, assetType, assetSourceDir, assetConfig, meta, config);
+    for (const svgFile of [...svgFiles, ...derivedFiles]) {
+        const relativePath = svgFiles.includes(svgFile)
+            ? path.relative(assetSourceDir, svgFile)
+            : path.basename(svgFile);
+        const outputPath = path.join(assetOutputDir, relativePath);
+        const fileConfig = getFileConfig(svgFile);
+        const svgMetadata = getSvgMetadata(svgFile);
+        const settings = { ...getEffectiveSettings(svgFile, fileConfig, config), svgMetadata };
+
+        jobs.push(inOrder(svgFile, () => buildCached(cache, svgFile, settings, async () => {
+            // 1. Optimize and save SVG, 2. generate raster variants from it
+            const [svgOutput, rasterOutputs, placeholder] = await Promise.all([
+                processSvg(svgFile, outputPath, svgMetadata, config),
+                processRasterImage(svgFile, assetOutputDir, fileConfig, config),
+                processPlaceholder(svgFile),
+            ]);
+            return addHashedCopies(withPlaceholder([svgOutput, ...rasterOutputs], placeholder), settings.hashedFilenames);
+        })));
+    }
+
+    // Combine SVGs into a <symbol> sprite (opt-in)
+    const spriteOptions = getSpriteOptions(assetConfig);
+    if (spriteOptions) {
+        const spritePath = path.join(outputDir, 'sprites', `${assetType}.svg`);
+        jobs.push(buildSprite(assetSourceDir, spritePath, spriteOptions, config, cache));
+    }
+
+    // Process raster images
+    for (const rasterFile of rasterFiles) {
+        const fileConfig = getFileConfig(rasterFile);
+        const settings = getEffectiveSettings(rasterFile, fileConfig, config);
+        jobs.push(inOrder(rasterFile, () => buildCached(cache, rasterFile, settings, async () => {
+            const [outputs, placeholder] = await Promise.all([
+                processRasterImage(rasterFile, assetOutputDir, fileConfig, config),
+                processPlaceholder(rasterFile),
+            ]);
+            return addHashedCopies(withPlaceholder(outputs, placeholder), settings.hashedFilenames);
+        })));
+    }
+
+    await Promise.all(jobs);
+}
+
+async function processBrand(brandName, brandConfig, config, cache) {
+    const sourceDir = path.join(rootDir, config.sourceDir, 'brands', brandName);
+    const outputDir = path.join(rootDir, config.outputDir, 'brands', brandName);
+
+    // Load brand metadata for display name
+    const brandMetaPath = path.join(sourceDir, 'meta.json');
+    const brandMeta = await readJsonIfExists(brandMetaPath);
+    const displayName = brandMeta?.brand?.displayName
+        || brandMeta?.brand?.name
+        || toTitleCaseFromKebab(brandName);
+
+    log(`\n📦 Processing brand: ${displayName} (${brandName})`);
+
+    const jobs = Object.entries(brandConfig)
+        .filter(([assetType]) => !BRAND_OPTION_KEYS.has(assetType))
+        .map(([assetType, typeConfig]) =>
+            processAssetType(brandName, assetType, typeConfig, sourceDir, outputDir, brandMeta, config, cache)
+        );
+
+    // Favicon bundle (opt-in per brand)
+    const faviconOptions = getFaviconOptions(brandConfig);
+    if (faviconOptions) {
+        log(`  🔖 ${brandName}/favicons/`);
+        const faviconSource = await resolveFaviconSource(sourceDir, faviconOptions);
+        if (faviconSource) {
+            // favicon.html links the icons on the default CDN
+            const cdn = getCdn(config);
+            const baseUrl = `${getBaseUrls(cdn)[cdn.default]}${getSitePath(config, 'brands', brandName, 'favicons')}/`;
+            const settings = {
+                favicon: faviconOptions,
+                displayName,
+                plan: getFaviconPlan(config),
+                svgo: config.svgo,
+                baseUrl,
+            };
+            jobs.push(buildCached(cache, faviconSource, settings, () =>
+                processFaviconBundle(faviconSource, path.join(outputDir, 'favicons'), faviconOptions, displayName, baseUrl, config),
+                `${path.relative(rootDir, faviconSource)}#favicons`
+            ));
+        } else {
+            log(`No favicon source found for ${brandName}`, 'warn');
+        }
+    }
+
+    // Design tokens (when meta.json has a `tokens` section)
+    if (brandMeta?.tokens) {
+        log(`  🎨 ${brandName}/tokens/`);
+        const tokensDir = path.join(outputDir, 'tokens');
+        jobs.push(buildCached(cache, brandMetaPath, { tokens: TOKEN_FILES }, () =>
+            processTokens(brandMeta, { id: brandName, name: displayName }, brandMetaPath, tokensDir),
+            path.relative(rootDir, tokensDir)
+        ));
+    }
+
+    await Promise.all(jobs);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Shared Assets
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Non-image directories under _source/shared/ and how their files are built
+const SHARED_KINDS = {
+    css: { extensions: SHARED_FORMATS.css, output: () => '.css' },
+    js: { extensions: SHARED_FORMATS.js, output: ext => ext },
+    fonts: { extensions: SHARED_FORMATS.fonts, output: () => '.woff2' },
+};
+
+/**
+ * Source files of the shared CSS, JS and font directories with their output
+ * paths, e.g. _source/shared/fonts/inter.ttf -> site/v1/shared/fonts/inter.woff2.
+ */
+async function getSharedSources(config) {
+    const sourceDir = path.join(rootDir, config.sourceDir, 'shared');
+    const outputDir = path.join(rootDir, config.outputDir, 'shared');
+    const sources = [];
+
+    for (const [kind, { extensions, output }] of Object.entries(SHARED_KINDS)) {
+        const kindSourceDir = path.join(sourceDir, kind);
+        if (!await fileExists(kindSourceDir)) continue;
+        for (const sourcePath of (await getFiles(kindSourceDir, extensions)).sort()) {
+            const relativePath = path.relative(kindSourceDir, sourcePath);
+            const ext = path.extname(relativePath);
+            sources.push({
+                kind,
+                sourcePath,
+                outputPath: path.join(outputDir, kind, relativePath.slice(0, -ext.length) + output(ext.toLowerCase()))
+            });
+        }
+    }
+    return sources;
+}
+
+/**
+ * Minify a stylesheet or script, or subset a font to WOFF2. Returns the
+ * variant record of the written file.
+ */
+async function processSharedFile({ kind, sourcePath, outputPath }, options) {
+    const input = await fs.readFile(sourcePath);
+    let output;
+
+    if (kind === 'fonts') {
+        output = await pool.run(
+            () => subsetFont(input, unicodeRangeToText(options.unicodeRange || DEFAULT_UNICODE_RANGE), { targetFormat: 'woff2' }),
+            path.relative(rootDir, outputPath)
+        );
+    } else {
+        const { code } = await pool.run(
+            () => transform(input.toString('utf-8'), {
+                loader: kind,
+                minify: true,
+                ...(options.target ? { target: options.target } : {}),
+                sourcefile: path.basename(sourcePath),
+            }),
+            path.relative(rootDir, outputPath)
+        );
+        output = Buffer.from(code);
+    }
+
+    if (!dryRun) {
+        await ensureDir(path.dirname(outputPath));
+        await fs.writeFile(outputPath, output);
+    }
+
+    const savings = ((1 - output.length / input.length) * 100).toFixed(1);
+    log(`${path.basename(sourcePath)} → ${path.basename(outputPath)} (${savings}% smaller)`, 'success');
+
+    return {
+        path: outputPath,
+        asset: getBaseName(outputPath),
+        format: path.extname(outputPath).slice(1),
+        ...(kind === 'fonts' ? { unicodeRange: options.unicodeRange || DEFAULT_UNICODE_RANGE } : {}),
+    };
+}
+
+/**
+ * Build everything under _source/shared/: CSS and JS are minified, fonts are
+ * subset to WOFF2 and icons go through the regular asset type pipeline.
+ */
+async function processShared(config, cache) {
+    const sourceDir = path.join(rootDir, config.sourceDir, 'shared');
+    if (!await fileExists(sourceDir)) return;
+
+    log(`\n📦 Processing shared assets`);
+    const outputDir = path.join(rootDir, config.outputDir, 'shared');
+    const hashOptions = getHashOptions(config);
+    const jobs = [];
+
+    if (await fileExists(path.join(sourceDir, 'icons'))) {
+        jobs.push(processAssetType('shared', 'icons', config.shared?.icons || {}, sourceDir, outputDir, null, config, cache));
+    }
+
+    for (const source of await getSharedSources(config)) {
+        const options = config.shared?.[source.kind] || {};
+        jobs.push(buildCached(cache, source.sourcePath, { kind: source.kind, options, hashedFilenames: hashOptions }, async () =>
+            addHashedCopies([await processSharedFile(source, options)], hashOptions)
+        ));
+    }
+
+    await Promise.all(jobs);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Timing
+// ─────────────────────────────────────────────────────────────────────────────
+
+function formatDuration(ms) {
+    return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`;
+}
+
+function logTimings(pool, wallMs, slowest = 5) {
+    const { timings, concurrency } = pool;
+    if (timings.length === 0) return;
+
+    const taskMs = timings.reduce((sum, timing) => sum + timing.ms, 0);
+    log(`\n⏱️  ${timings.length} tasks on ${concurrency} worker${concurrency === 1 ? '' : 's'} in ${formatDuration(wallMs)} (${formatDuration(taskMs)} of task time)`);
+    for (const timing of [...timings].sort((a, b) => b.ms - a.ms).slice(0, slowest)) {
+        log(`   ${formatDuration(timing.ms).padStart(7)}  ${timing.label}`, 'detail');
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Build Report
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Every output of a version (hashed copies excluded) with its size, source
+ * size and encode time, from the build cache
+ */
+async function getReportFiles(config, cache) {
+    const outputDir = path.join(rootDir, config.outputDir);
+    const files = [];
+
+    for (const entry of Object.values(cache.entries)) {
+        const hashedPaths = new Set((entry.variants || []).map(variant => variant.hashedPath).filter(Boolean));
+        const sourceStats = await Promise.all((entry.sources || []).map(source => fs.stat(path.join(rootDir, source)).catch(() => null)));
+        const sourceBytes = sourceStats.every(Boolean) && sourceStats.length > 0
+            ? sourceStats.reduce((sum, stat) => sum + stat.size, 0)
+            : null;
+
+        for (const output of entry.outputs) {
+            const outputPath = path.join(rootDir, output);
+            const relativePath = path.relative(outputDir, outputPath);
+            if (relativePath.startsWith('..') || hashedPaths.has(output)) continue;
+
+            const stat = await fs.stat(outputPath).catch(() => null);
+            if (!stat) continue;
+
+            // brands/<brand>/<type>/... or shared/<type>/...
+            const parts = relativePath.split(path.sep);
+            const [owner, assetType] = parts[0] === 'brands' ? [parts[1], parts[2]] : [parts[0], parts[1]];
+            const variant = entry.variants?.find(record => record.path === output);
+            files.push({
+                path: getSitePath(config, relativePath),
+                owner,
+                assetType,
+                asset: variant?.asset ?? null,
+                format: variant?.format ?? path.extname(output).slice(1),
+                sizeName: variant?.sizeName ?? null,
+                size: variant?.size ?? null,
+                bytes: stat.size,
+                sourceBytes,
+                encodeMs: entry.encodeMs?.[output] ?? null,
+            });
+        }
+    }
+
+    return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Write build-report.json and build-report.md to <report dir>/<version>/.
+ * Budget violations are reported as errors; the caller decides what to skip.
+ */
+async function writeBuildReport(config, cache) {
+    const version = getVersionId(config);
+    const reportDir = path.join(rootDir, config.report?.outputDir || 'reports', version);
+    const report = createReport({
+        version,
+        files: await getReportFiles(config, cache),
+        budgets: resolveBudgets(config.budgets),
+    });
+
+    await ensureDir(reportDir);
+    await fs.writeFile(path.join(reportDir, 'build-report.json'), JSON.stringify(report, null, 2));
+    await fs.writeFile(path.join(reportDir, 'build-report.md'), renderReportMarkdown(report));
+    log(`\n📊 Build report: ${path.relative(rootDir, reportDir)}/build-report.{json,md} (${report.totals.files} files, ${formatBytes(report.totals.bytes)})`);
+
+    for (const violation of report.violations) {
+        log(`${violation.path} is ${formatBytes(violation.bytes)} (budget: ${violation.budget})`, 'error');
+    }
+
+    return { path: path.join(reportDir, 'build-report.json'), report };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Pruning
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Remove outputs the generator no longer owns from the directories built in
+ * this run (`scopes`): cache entries that weren't visited (deleted sources,
+ * removed brands or asset types) are dropped, and any file under a scope that
+ * isn't an output of a remaining entry (e.g. a removed size) is deleted.
+ * Returns the deleted (or, with --dry-run, to-be-deleted) paths.
+ */
+async function pruneOutputs(cache, scopes) {
+    const inScope = output => scopes.some(scope => !path.relative(scope, path.join(rootDir, output)).startsWith('..'));
+
+    for (const [cacheId, entry] of Object.entries(cache.entries)) {
+        if (!cache.visited.has(cacheId) && entry.outputs.some(inScope)) {
+            delete cache.entries[cacheId];
+        }
+    }
+
+    const owned = new Set(Object.values(cache.entries).flatMap(entry =>
+        entry.outputs.map(output => path.join(rootDir, output))
+    ));
+
+    // Brand manifests are written after pruning, by generateManifest
+    const orphans = [];
+    for (const scope of scopes) {
+        if (!await fileExists(scope)) continue;
+        orphans.push(...(await getFiles(scope)).filter(file => !owned.has(file) && !isBrandManifest(file)));
+    }
+
+    if (!dryRun) {
+        for (const orphan of orphans) {
+            await fs.unlink(orphan);
+            log(`Removed ${path.relative(rootDir, orphan)}`, 'info');
+        }
+        for (const scope of scopes) {
+            await removeEmptyDirs(scope);
+        }
+    }
+    return orphans;
+}
+
+async function removeEmptyDirs(dir) {
+    if (!await fileExists(dir)) return;
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+        if (entry.isDirectory()) await removeEmptyDirs(path.join(dir, entry.name));
+    }
+    if ((await fs.readdir(dir)).length === 0) await fs.rmdir(dir);
+}
+
+function printPlan(cache, deletions) {
+    log(`\n📝 Planned writes (${cache.planned.length}):`);
+    for (const output of cache.planned) log(`  + ${path.relative(rootDir, output)}`, 'detail');
+    log(`\n🗑️  Planned deletions (${deletions.length}):`);
+    for (const output of deletions) log(`  - ${path.relative(rootDir, output)}`, 'detail');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Manifest Generation
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Per-brand manifest, next to the brand's asset types (v1/brands/<id>/manifest.json)
+const BRAND_MANIFEST_FILE = 'manifest.json';
+
+// Published with the package and copied to <site>/schemas/
+const MANIFEST_SCHEMAS = {
+    index: 'manifest.schema.json',
+    brand: 'brand-manifest.schema.json',
+};
+
+function isBrandManifest(file) {
+    return path.basename(file) === BRAND_MANIFEST_FILE
+        && path.basename(path.dirname(path.dirname(file))) === 'brands';
+}
+
+const MIME_TYPES = {
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json',
+    '.xml': 'application/xml',
+    '.html': 'text/html',
+    '.json': 'application/json',
+    '.scss': 'text/x-scss',
+    '.css': 'text/css',
+    '.js': 'text/javascript',
+    '.mjs': 'text/javascript',
+    '.woff2': 'font/woff2',
+};
+
+/**
+ * Byte size, MIME type and SRI hash (for `integrity=` attributes) of a
+ * generated file.
+ */
+function getFileDetails(file, content) {
+    return {
+        bytes: content.length,
+        mimeType: MIME_TYPES[path.extname(file).toLowerCase()],
+        integrity: `sha384-${createHash('sha384').update(content).digest('base64')}`
+    };
+}
+
+/**
+ * Variant records kept in the build cache for files under `baseDir`, grouped
+ * by the first two directory levels below it (brand and asset type). Records
+ * whose file no longer exists are dropped; when several sources wrote the
+ * same file, the last record wins.
+ */
+async function getVariantRecords(cache, baseDir) {
+    const records = new Map();
+    for (const entry of Object.values(cache.entries)) {
+        for (const variant of entry.variants || []) {
+            records.set(variant.path, variant);
+        }
+    }
+
+    const brandVariants = new Map();
+    for (const variant of records.values()) {
+        const relativePath = path.relative(baseDir, path.join(rootDir, variant.path));
+        if (relativePath.startsWith('..')) continue;
+        if (!await fileExists(path.join(rootDir, variant.path))) continue;
+
+        const [brandId, assetType] = relativePath.split(path.sep);
+        if (!brandVariants.has(brandId)) brandVariants.set(brandId, new Map());
+        const typeVariants = brandVariants.get(brandId);
+        if (!typeVariants.has(assetType)) typeVariants.set(assetType, []);
+        typeVariants.get(assetType).push(variant);
+    }
+
+    for (const typeVariants of brandVariants.values()) {
+        for (const variants of typeVariants.values()) {
+            variants.sort((a, b) => a.path.localeCompare(b.path));
+        }
+    }
+    return brandVariants;
+}
+
+async function getFaviconManifest(brandId, brandPath, config) {
+    const faviconDir = path.join(brandPath, 'favicons');
+    if (!await fileExists(path.join(faviconDir, 'favicon.ico'))) return null;
+
+    const basePath = getSitePath(config, 'brands', brandId, 'favicons');
+    const candidates = [
+        { file: 'favicon.ico', format: 'ico', size: null },
+        { file: 'favicon.svg', format: 'svg', size: null },
+        ...getFaviconPlan(config).map(icon => ({ file: icon.file, format: icon.format, size: icon.width })),
+        { file: 'site.webmanifest', format: 'webmanifest', size: null },
+        { file: 'browserconfig.xml', format: 'xml', size: null },
+        { file: 'favicon.html', format: 'html', size: null },
+    ];
+
+    const files = [];
+    for (const candidate of candidates) {
+        const filePath = path.join(faviconDir, candidate.file);
+        if (!await fileExists(filePath)) continue;
+        files.push({ ...candidate, path: `${basePath}/${candidate.file}`, ...getFileDetails(candidate.file, await fs.readFile(filePath)) });
+    }
+
+    return {
+        basePath,
+        html: `${basePath}/favicon.html`,
+        webmanifest: `${basePath}/site.webmanifest`,
+        files
+    };
+}
+
+/**
+ * Exported token files of a brand, plus the resolved values from tokens.json.
+ */
+async function getTokensManifest(brandId, brandPath, config) {
+    const tokensDir = path.join(brandPath, 'tokens');
+    const values = await readJsonIfExists(path.join(tokensDir, 'tokens.json'));
+    if (!values) return null;
+
+    const basePath = getSitePath(config, 'brands', brandId, 'tokens');
+    const files = [];
+    for (const file of TOKEN_FILES) {
+        const filePath = path.join(tokensDir, file);
+        if (!await fileExists(filePath)) continue;
+        files.push({ file, format: path.extname(file).slice(1), path: `${basePath}/${file}`, ...getFileDetails(file, await fs.readFile(filePath)) });
+    }
+
+    return {
+        basePath,
+        palette: values.palette,
+        colors: values.colors,
+        fonts: values.fonts,
+        files
+    };
+}
+
+/**
+ * Sprites for the asset types in `typeConfigs` that have the `sprite` option,
+ * with symbol IDs computed the same way as when the sprite was built.
+ */
+async function getSpriteManifest(typeConfigs, sourceDir, outputDir, basePath) {
+    const sprites = [];
+    for (const [assetType, typeConfig] of Object.entries(typeConfigs)) {
+        const options = getSpriteOptions(typeConfig);
+        if (!options) continue;
+
+        const file = `${assetType}.svg`;
+        const spritePath = path.join(outputDir, 'sprites', file);
+        if (!await fileExists(spritePath)) continue;
+
+        const typeSourceDir = path.join(sourceDir, assetType);
+        const svgFiles = (await getFiles(typeSourceDir, VECTOR_EXTENSIONS)).sort();
+        sprites.push({
+            type: assetType,
+            file,
+            path: `${basePath}/sprites/${file}`,
+            symbols: Array.from(getSpriteSymbols(typeSourceDir, svgFiles, options).keys()),
+            ...getFileDetails(file, await fs.readFile(spritePath))
+        });
+    }
+    return sprites;
+}
+
+/**
+ * Add the `srcset` candidates of a manifest crop: per format, one file per
+ * pixel width (the 1x file when an @2x file has the same width), narrowest first.
+ */
+function withSrcset(crop) {
+    const srcset = {};
+    for (const file of [...crop.files].sort((a, b) => a.width - b.width || a.density - b.density)) {
+        const candidates = srcset[file.format] ??= [];
+        if (candidates.at(-1)?.width !== file.width) candidates.push({ path: file.path, width: file.width });
+    }
+    return { ...crop, srcset };
+}
+
+/**
+ * Manifest asset groups (one per asset type) for the variant records of a
+ * brand or the shared namespace. `basePath` is the site path of the owner
+ * (e.g. "v1/brands/acme").
+ */
+async function getAssetTypeGroups(typeVariants, typeConfigs, sourceDir, meta, basePath, { config, hashOptions, toSitePath }) {
+    const groups = [];
+    for (const [assetType, variants] of [...typeVariants].sort(([a], [b]) => a.localeCompare(b))) {
+        const typeConfig = typeConfigs[assetType] || {};
+        const typeSourceDir = path.join(sourceDir, assetType);
+        const derivedVariants = new Map(
+            (await getDerivedVariants(typeSourceDir, typeConfig)).map(derived => [derived.id, derived])
+        );
+
+        // Group files by asset
+        const assetGroups = {};
+
+        for (const variant of variants) {
+            const assetName = variant.asset;
+
+            if (!assetGroups[assetName]) {
+                const assetMeta = meta?.assets?.[assetType]?.[assetName] || null;
+                const defaultName = toTitleCaseFromKebab(assetName);
+                const derived = derivedVariants.get(assetName);
+                const { displayName, description } = getAssetText(assetName, assetMeta, derived, config);
+                const usage = normalizeOptionalString(assetMeta?.usage);
+                const tags = normalizeStringArray(assetMeta?.tags);
+                const aliases = normalizeStringArray(assetMeta?.aliases);
+                const sortKey = Number.isFinite(assetMeta?.sortKey) ? assetMeta.sortKey : undefined;
+
+                assetGroups[assetName] = {
+                    id: assetName,
+                    name: defaultName,
+                    displayName,
+                    ...(description ? { description } : {}),
+                    ...(usage ? { usage } : {}),
+                    ...(tags.length > 0 ? { tags } : {}),
+                    ...(aliases.length > 0 ? { aliases } : {}),
+                    ...(sortKey !== undefined ? { sortKey } : {}),
+                    ...(derived ? { derived: true, derivedFrom: derived.from } : {}),
+                    type: assetType,
+                    basePath: `${basePath}/${assetType}/${assetName}`,
+                    sizes: new Set(),
+                    formats: new Set(),
+                    files: []
+                };
+            }
+
+            const file = path.basename(variant.path);
+            const filePath = path.join(rootDir, variant.path);
+            const sitePath = toSitePath(filePath);
+            if (!variant.poster && !variant.crop) {
+                assetGroups[assetName].formats.add(variant.format);
+                if (variant.size) assetGroups[assetName].sizes.add(variant.size);
+            }
+            if (variant.placeholder) assetGroups[assetName].placeholder ??= variant.placeholder;
+            // Only animated sources have posters
+            if (variant.frames || variant.poster) assetGroups[assetName].animated = true;
+
+            const content = await fs.readFile(filePath);
+            const assetFile = {
+                file,
+                format: variant.format,
+                size: variant.size,
+                sizeName: variant.sizeName,
+                width: variant.width,
+                height: variant.height,
+                density: variant.density,
+                path: sitePath,
+                ...(variant.frames ? { frames: variant.frames } : {}),
+                ...getFileDetails(file, content)
+            };
+            if (hashOptions && variant.hashedPath) {
+                const hash = getContentHash(content, hashOptions);
+                const hashedPath = path.join(rootDir, variant.hashedPath);
+                if (path.basename(hashedPath) === toHashedName(file, hash) && await fileExists(hashedPath)) {
+                    assetFile.hash = hash;
+                    assetFile.hashedPath = toSitePath(hashedPath);
+                }
+            }
+            if (variant.poster) {
+                (assetGroups[assetName].poster ??= []).push(assetFile);
+            } else if (variant.crop) {
+                const crops = assetGroups[assetName].crops ??= new Map();
+                if (!crops.has(variant.crop.name)) crops.set(variant.crop.name, { ...variant.crop, files: [] });
+                crops.get(variant.crop.name).files.push(assetFile);
+            } else {
+                assetGroups[assetName].files.push(assetFile);
+            }
+        }
+
+        // Convert Sets to sorted arrays
+        const assets = Object.values(assetGroups).map(group => ({
+            ...group,
+            sizes: Array.from(group.sizes).sort((a, b) => a - b),
+            formats: Array.from(group.formats).sort(),
+            ...(group.crops ? { crops: Array.from(group.crops.values(), withSrcset) } : {})
+        })).sort((a, b) => {
+            const aKey = typeof a.sortKey === 'number' ? a.sortKey : 9999;
+            const bKey = typeof b.sortKey === 'number' ? b.sortKey : 9999;
+            if (aKey !== bKey) return aKey - bKey;
+            const aName = a.displayName || a.name || a.id;
+            const bName = b.displayName || b.name || b.id;
+            return String(aName).localeCompare(String(bName));
+        });
+
+        if (assets.length > 0) {
+            groups.push({
+                type: assetType,
+                assets
+            });
+        }
+    }
+    return groups;
+}
+
+/**
+ * Shared CSS, JS and fonts (one list per kind), shared icons and sprites.
+ */
+async function getSharedManifest(config, cache, { hashOptions, toSitePath }) {
+    const sourceDir = path.join(rootDir, config.sourceDir, 'shared');
+    const outputDir = path.join(rootDir, config.outputDir, 'shared');
+    const typeVariants = (await getVariantRecords(cache, path.dirname(outputDir))).get('shared') || new Map();
+    const shared = {};
+
+    for (const kind of Object.keys(SHARED_KINDS)) {
+        const files = [];
+        for (const variant of typeVariants.get(kind) || []) {
+            const filePath = path.join(rootDir, variant.path);
+            const content = await fs.readFile(filePath);
+            const sharedFile = {
+                file: path.basename(filePath),
+                format: variant.format,
+                path: toSitePath(filePath),
+                ...getFileDetails(filePath, content)
+            };
+            if (variant.unicodeRange) sharedFile.unicodeRange = variant.unicodeRange;
+            if (hashOptions && variant.hashedPath) {
+                const hash = getContentHash(content, hashOptions);
+                const hashedPath = path.join(rootDir, variant.hashedPath);
+                if (path.basename(hashedPath) === toHashedName(sharedFile.file, hash) && await fileExists(hashedPath)) {
+                    sharedFile.hash = hash;
+                    sharedFile.hashedPath = toSitePath(hashedPath);
+                }
+            }
+            files.push(sharedFile);
+        }
+        if (files.length > 0) shared[kind] = files;
+        typeVariants.delete(kind);
+    }
+
+    const assetTypes = await getAssetTypeGroups(typeVariants, config.shared || {}, sourceDir, null, getSitePath(config, 'shared'), { config, hashOptions, toSitePath });
+    if (assetTypes.length > 0) shared.assetTypes = assetTypes;
+
+    const sprites = await getSpriteManifest({ icons: config.shared?.icons }, sourceDir, outputDir, getSitePath(config, 'shared'));
+    if (sprites.length > 0) shared.sprites = sprites;
+
+    return shared;
+}
+
+/**
+ * Index entry of a brand: what a browser needs to list and filter brands
+ * before loading the brand manifest itself.
+ */
+function getBrandSummary(brand, manifestPath) {
+    const { assetTypes, favicons, sprites, tokens, ...summary } = brand;
+    const assets = assetTypes.flatMap(group => group.assets);
+    return {
+        ...summary,
+        assetTypes: assetTypes.map(group => group.type),
+        counts: {
+            assets: assets.length,
+            files: assets.reduce((sum, asset) => sum + asset.files.length, 0),
+        },
+        manifest: manifestPath,
+    };
+}
+
+/**
+ * Build the manifests from the variant records of the build cache rather than
+ * by parsing output filenames: one manifest per brand with all its assets,
+ * and assets-manifest.json as the index of the brands (plus shared assets).
+ */
+async function generateManifest(config, cache) {
+    const outputDir = path.join(rootDir, config.outputDir);
+    const brandsDir = path.join(outputDir, 'brands');
+    const hashOptions = getHashOptions(config);
+    const brandVariants = await getVariantRecords(cache, brandsDir);
+    const cdn = getCdn(config);
+    const baseUrls = getBaseUrls(cdn);
+    const schemaUrl = file => `${baseUrls[cdn.default]}schemas/${file}`;
+    const generated = new Date().toISOString();
+
+    // Path relative to the site root (e.g. "v1/brands/acme/logos/logo-128.png")
+    const toSitePath = filePath => path.relative(path.dirname(outputDir), filePath).split(path.sep).join('/');
+
+    const manifest = {
+        $schema: schemaUrl(MANIFEST_SCHEMAS.index),
+        generated,
+        version: getVersionId(config),
+        ref: cdn.ref,
+        baseUrls,
+        cdn: { default: cdn.default, providers: cdn.providers },
+        brands: []
+    };
+
+    // Scan brands directory
+    const brandDirs = await fs.readdir(brandsDir, { withFileTypes: true });
+
+    for (const brandEntry of brandDirs) {
+        if (!brandEntry.isDirectory()) continue;
+
+        const brandId = brandEntry.name;
+        const brandMetaPath = path.join(rootDir, config.sourceDir, 'brands', brandId, 'meta.json');
+        const brandMeta = await readJsonIfExists(brandMetaPath);
+        const brandTags = normalizeStringArray(brandMeta?.brand?.tags);
+        const brandAliases = normalizeStringArray(brandMeta?.brand?.aliases);
+        const brandDescription = normalizeOptionalString(brandMeta?.brand?.description);
+
+        const brandPath = path.join(brandsDir, brandId);
+        const brand = {
+            id: brandId,
+            name: normalizeOptionalString(brandMeta?.brand?.displayName)
+                || normalizeOptionalString(brandMeta?.brand?.name)
+                || toTitleCaseFromKebab(brandId),
+            assetTypes: []
+        };
+
+        if (brandDescription) brand.description = brandDescription;
+        if (brandTags.length > 0) brand.tags = brandTags;
+        if (brandAliases.length > 0) brand.aliases = brandAliases;
+
+        // Group the recorded variants by asset type (logos, icons, images)
+        brand.assetTypes.push(...await getAssetTypeGroups(
+            brandVariants.get(brandId) || new Map(),
+            config.brands[brandId] || {},
+            path.join(rootDir, config.sourceDir, 'brands', brandId),
+            brandMeta,
+            getSitePath(config, 'brands', brandId),
+            { config, hashOptions, toSitePath }
+        ));
+
+        const favicons = await getFaviconManifest(brandId, brandPath, config);
+        if (favicons) brand.favicons = favicons;
+
+        const tokens = await getTokensManifest(brandId, brandPath, config);
+        if (tokens) brand.tokens = tokens;
+
+        const sprites = await getSpriteManifest(
+            config.brands[brandId] || {},
+            path.join(rootDir, config.sourceDir, 'brands', brandId),
+            brandPath,
+            getSitePath(config, 'brands', brandId)
+        );
+        if (sprites.length > 0) brand.sprites = sprites;
+
+        // A brand whose outputs were all pruned only has its old manifest left
+        const brandManifestPath = path.join(brandPath, BRAND_MANIFEST_FILE);
+        if (brand.assetTypes.length === 0 && !brand.favicons && !brand.sprites && !brand.tokens) {
+            await fs.rm(brandManifestPath, { force: true });
+            await removeEmptyDirs(brandPath);
+            continue;
+        }
+
+        const brandManifest = {
+            $schema: schemaUrl(MANIFEST_SCHEMAS.brand),
+            generated,
+            version: manifest.version,
+            ref: cdn.ref,
+            baseUrls,
+            brand
+        };
+        await fs.writeFile(brandManifestPath, JSON.stringify(brandManifest, null, 2));
+        manifest.brands.push(getBrandSummary(brand, toSitePath(brandManifestPath)));
+    }
+
+    const shared = await getSharedManifest(config, cache, { hashOptions, toSitePath });
+    if (Object.keys(shared).length > 0) manifest.shared = shared;
+
+    // Each version namespace gets its own manifest (the default one is also
+    // copied to the site root by writeVersionIndex)
+    const manifestPath = path.join(outputDir, 'assets-manifest.json');
+    await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+    log(`Generated ${getSitePath(config, 'assets-manifest.json')} and ${manifest.brands.length} brand manifest${manifest.brands.length === 1 ? '' : 's'}`, 'success');
+
+    return manifest;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Version Builds
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Build one version namespace with its own build cache: brands, shared
+ * assets, pruning and (unless in dry run or over budget) its manifest.
+ */
+async function buildVersion(config, { brands, force }) {
+    const versionId = getVersionId(config);
+    const cache = await loadBuildCache(force, path.join(rootDir, CACHE_DIR, `${versionId}.json`));
+    const brandsDir = path.join(rootDir, config.outputDir, 'brands');
+    const sharedDir = path.join(rootDir, config.outputDir, 'shared');
+    const result = { id: versionId, outputDir: config.outputDir, manifest: null, report: null };
+
+    log(`\n🏷️  Version ${versionId} (${config.outputDir}, CDN ref ${getCdn(config).ref})`);
+
+    // Ensure output directories exist
+    if (!dryRun) {
+        await ensureDir(brandsDir);
+        await ensureDir(sharedDir);
+    }
+
+    // Process brands (concurrently; encodes share the pool)
+    await Promise.all([
+        ...Object.entries(config.brands || {})
+            .filter(([brandName]) => !brands || brands.includes(brandName))
+            .map(([brandName, brandConfig]) => processBrand(brandName, brandConfig, config, cache)),
+        ...(brands ? [] : [processShared(config, cache)]),
+    ]);
+
+    // Only prune what this run was responsible for
+    const scopes = brands ? brands.map(brandName => path.join(brandsDir, brandName)) : [brandsDir, sharedDir];
+    const deletions = await pruneOutputs(cache, scopes);
+    const toRelative = output => path.relative(rootDir, output);
+
+    if (dryRun) {
+        printPlan(cache, deletions);
+        return { ...result, planned: cache.planned.map(toRelative), deletions: deletions.map(toRelative) };
+    }
+
+    await saveBuildCache(cache);
+    const { reused, rebuilt } = cache.stats;
+    log(`\n♻️  Build cache: ${rebuilt} files rebuilt, ${reused} reused, ${deletions.length} removed${force ? ' (force)' : ''}`);
+    Object.assign(result, { rebuilt, reused, deletions: deletions.map(toRelative) });
+
+    // Report before the manifest, so an over-budget build publishes nothing new
+    const { path: reportPath, report } = await writeBuildReport(config, cache);
+    result.report = toRelative(reportPath);
+    result.totals = report.totals;
+    result.violations = report.violations;
+    if (report.violations.length > 0) {
+        log(`${report.violations.length} file${report.violations.length === 1 ? '' : 's'} over budget in ${versionId}, manifest not updated`, 'error');
+        return result;
+    }
+
+    // Generate manifest for the asset browser
+    log('\n📋 Generating asset manifest...');
+    await generateManifest(config, cache);
+    result.manifest = getManifestPath(config);
+    return result;
+}
+
+function getManifestPath(config) {
+    return path.join(config.outputDir, 'assets-manifest.json');
+}
+
+/**
+ * Write versions.json (every namespace with a manifest) to the site root and
+ * copy the default version's manifest to assets-manifest.json next to it,
+ * and the manifest JSON Schemas to schemas/.
+ * Returns the path of versions.json.
+ */
+async function writeVersionIndex({ siteDir, defaultVersion, versions }) {
+    const index = {
+        generated: new Date().toISOString(),
+        default: defaultVersion,
+        versions: []
+    };
+
+    for (const { id, config } of versions) {
+        const manifestPath = path.join(rootDir, getManifestPath(config));
+        const manifest = await readJsonIfExists(manifestPath);
+        if (!manifest) continue;
+
+        index.versions.push({
+            id,
+            manifest: getSitePath(config, 'assets-manifest.json'),
+            generated: manifest.generated,
+            brands: manifest.brands.length
+        });
+        if (id === defaultVersion) {
+            await fs.copyFile(manifestPath, path.join(rootDir, siteDir, 'assets-manifest.json'));
+        }
+    }
+
+    const indexPath = path.join(siteDir, 'versions.json');
+    await fs.writeFile(path.join(rootDir, indexPath), JSON.stringify(index, null, 2));
+
+    // Manifests point their $schema at these
+    const schemaDir = path.join(rootDir, siteDir, 'schemas');
+    await ensureDir(schemaDir);
+    for (const file of Object.values(MANIFEST_SCHEMAS)) {
+        await fs.copyFile(path.join(DEFAULT_ROOT_DIR, 'scripts', file), path.join(schemaDir, file));
+    }
+    log(`Generated versions.json (${index.versions.map(version => version.id).join(', ')}; default ${defaultVersion})`, 'success');
+    return indexPath;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Node API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {object} RunOptions
+ * @property {string} [rootDir] - Directory config, source and output paths are relative to (default: the repository root)
+ * @property {string|object} [config] - Config file path relative to rootDir, or a config object (default: assets.config.json)
+ * @property {string} [sourceDir] - Overrides the config's sourceDir
+ * @property {string} [outputDir] - Overrides the config's outputDir (other versions build next to it)
+ * @property {string[]} [versions] - Only these version namespaces (default: all)
+ * @property {string} [ref] - Git ref CDN URLs are pinned to (default: `cdn.ref`)
+ * @property {(event: {level: string, message: string}) => void} [onEvent] - Receives progress, warnings and errors
+ */
+
+/**
+ * Build assets, build reports and manifests for every selected version
+ * namespace, then write versions.json.
+ *
+ * Resolves with `ok: false` when a file is over budget (that version's
+ * manifest is not updated); rejects on invalid options or config.
+ *
+ * @param {RunOptions & {brands?: string[], force?: boolean, dryRun?: boolean, jobs?: number}} [options]
+ *   `brands` limits the build (and pruning) to those brands and skips shared assets
+ * @returns {Promise<{ok: boolean, dryRun: boolean, versions: object[], versionIndex: string|null, warnings: string[], errors: string[], timings: object, durationMs: number}>}
+ *   Paths are relative to rootDir. Each version has its manifest, report,
+ *   totals, violations, rebuilt/reused counts and deletions (planned writes and
+ *   deletions with dryRun)
+ */
+export function buildAssets(options = {}) {
+    return runs.run(async () => {
+        const jobs = options.jobs ?? os.availableParallelism();
+        if (!Number.isInteger(jobs) || jobs < 1) {
+            throw new Error('jobs must be a positive integer');
+        }
+        const brands = options.brands?.length > 0 ? options.brands : null;
+        const { versionIndex, versions } = await startRun(options);
+
+        pool = createPool(jobs);
+        // Split the CPUs between concurrent encodes instead of each using all of them
+        sharp.concurrency(Math.max(1, Math.floor(os.availableParallelism() / jobs)));
+
+        log(`🚀 Asset Generation Pipeline${dryRun ? ' (dry run)' : ''} (${jobs} jobs)\n`);
+        const startTime = performance.now();
+
+        // Versions are built one after another, each with its own cache
+        const results = [];
+        for (const version of versions) {
+            results.push(await buildVersion(version.config, { brands, force: Boolean(options.force) }));
+        }
+        const durationMs = performance.now() - startTime;
+        logTimings(pool, durationMs);
+
+        const versionIndexPath = dryRun ? null : await writeVersionIndex(versionIndex);
+        const taskMs = pool.timings.reduce((sum, timing) => sum + timing.ms, 0);
+
+        return {
+            ok: issues.errors.length === 0,
+            dryRun,
+            versions: results,
+            versionIndex: versionIndexPath,
+            warnings: issues.warnings,
+            errors: issues.errors,
+            timings: { tasks: pool.timings.length, workers: pool.concurrency, taskMs: Math.round(taskMs) },
+            durationMs: Math.round(durationMs),
+        };
+    });
+}
+
+/**
+ * Regenerate the manifests of the selected version namespaces and
+ * versions.json from the last build (its cache and output files), without
+ * encoding anything.
+ *
+ * @param {RunOptions} [options]
+ * @returns {Promise<{versions: Array<{id: string, manifest: string}>, versionIndex: string, warnings: string[], errors: string[]}>}
+ */
+export function buildManifest(options = {}) {
+    return runs.run(async () => {
+        const { versionIndex, versions } = await startRun({ ...options, dryRun: false });
+
+        const results = [];
+        for (const { id, config } of versions) {
+            const cache = await loadBuildCache(false, path.join(rootDir, CACHE_DIR, `${id}.json`));
+            if (Object.keys(cache.entries).length === 0) {
+                log(`No build cache for ${id}, run a build first`, 'warn');
+                continue;
+            }
+            await generateManifest(config, cache);
+            results.push({ id, manifest: getManifestPath(config) });
+        }
+
+        return {
+            versions: results,
+            versionIndex: await writeVersionIndex(versionIndex),
+            warnings: issues.warnings,
+            errors: issues.errors,
+        };
+    });
+}
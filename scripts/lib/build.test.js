@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { buildAssets } from './build.js';
+
+test('builds a shared tree with only some of css/, js/ and fonts/', async () => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'build-'));
+    try {
+        await fs.mkdir(path.join(rootDir, '_source', 'brands', 'acme', 'logos'), { recursive: true });
+        await fs.writeFile(path.join(rootDir, '_source', 'brands', 'acme', 'logos', 'logo.svg'),
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><path d="M0 0h10v10H0z"/></svg>');
+        await fs.mkdir(path.join(rootDir, '_source', 'shared', 'css'), { recursive: true });
+        await fs.writeFile(path.join(rootDir, '_source', 'shared', 'css', 'site.css'), 'body {\n    color: #ff0000;\n}\n');
+
+        const result = await buildAssets({
+            rootDir,
+            config: { sourceDir: '_source', outputDir: 'site/v1', brands: { acme: { logos: { formats: ['original'] } } } },
+        });
+        assert.ok(result.ok, result.errors.join('\n'));
+
+        const css = await fs.readFile(path.join(rootDir, 'site', 'v1', 'shared', 'css', 'site.css'), 'utf-8');
+        assert.match(css, /^body\{color:red\}/);
+    } finally {
+        await fs.rm(rootDir, { recursive: true, force: true });
+    }
+});
+
+test('rejects brands that are not configured', async () => {
+    await assert.rejects(buildAssets({
+        rootDir: os.tmpdir(),
+        config: { sourceDir: '_source', outputDir: 'site/v1', brands: { acme: {} } },
+        brands: ['acme', 'acme-crop'],
+    }), /Unknown brand: acme-crop \(configured: acme\)/);
+});
@@ -0,0 +1,122 @@
+/**
+ * CDN Providers
+ *
+ * Resolves the `cdn` section of assets.config.json into base URLs. Provider
+ * URLs are templates; `{ref}` is replaced by the git ref the build is pinned
+ * to (a branch, tag or commit):
+ *
+ *   "cdn": {
+ *       "ref": "main",
+ *       "default": "github",
+ *       "providers": {
+ *           "github": { "name": "GitHub Pages", "url": "https://codefuturist.github.io/static-assets/" },
+ *           "jsdelivr": { "name": "jsDelivr", "url": "https://cdn.jsdelivr.net/gh/codefuturist/static-assets@{ref}/site/" },
+ *           "assets": { "name": "Custom domain", "url": "https://assets.example.com/" }
+ *       }
+ *   }
+ *
+ * Every base URL points at the site root, so it is joined with manifest paths
+ * such as "v1/brands/acme/logos/logo.svg".
+ */
+
+const PROVIDER_ID_PATTERN = /^[a-z][a-z0-9-]*$/i;
+const REF_PATTERN = /^[\w.\/-]+$/;
+const TEMPLATE_PATTERN = /\{(\w+)\}/g;
+
+// Used when assets.config.json has no `cdn` section
+export const DEFAULT_CDN = {
+    ref: 'main',
+    default: 'github',
+    providers: {
+        github: { name: 'GitHub Pages', url: 'https://codefuturist.github.io/static-assets/' },
+        jsdelivr: { name: 'jsDelivr', url: 'https://cdn.jsdelivr.net/gh/codefuturist/static-assets@{ref}/site/' },
+    },
+};
+
+/**
+ * @param {object} config - Parsed assets.config.json
+ * @param {{ref?: string|null}} [options] - `ref` overrides `cdn.ref` (e.g. from --ref)
+ * @returns {{ref: string, default: string, providers: Array<{id: string, name: string, baseUrl: string}>}}
+ *   Providers in config order, with templates expanded
+ * @throws {Error} When a provider id, URL, template variable or the ref is invalid
+ */
+export function resolveCdn(config, { ref = null } = {}) {
+    const cdn = config.cdn || DEFAULT_CDN;
+    const pinnedRef = ref || cdn.ref || DEFAULT_CDN.ref;
+    if (!REF_PATTERN.test(pinnedRef)) {
+        throw new Error(`Invalid CDN ref "${pinnedRef}" (use a branch, tag or commit)`);
+    }
+
+    const entries = Object.entries(cdn.providers || {});
+    if (entries.length === 0) throw new Error('cdn.providers must list at least one provider');
+
+    const providers = entries.map(([id, provider]) => {
+        if (!PROVIDER_ID_PATTERN.test(id)) {
+            throw new Error(`Invalid CDN provider id "${id}" (use letters, digits and dashes)`);
+        }
+        const template = provider?.url;
+        if (typeof template !== 'string') throw new Error(`CDN provider "${id}" has no url`);
+
+        const baseUrl = template.replace(TEMPLATE_PATTERN, (match, name) => {
+            if (name !== 'ref') throw new Error(`Unknown variable ${match} in the url of CDN provider "${id}" (only {ref} is supported)`);
+            return pinnedRef;
+        });
+        let url;
+        try {
+            url = new URL(baseUrl);
+        } catch {
+            throw new Error(`CDN provider "${id}" has an invalid url: ${template}`);
+        }
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            throw new Error(`CDN provider "${id}" must use an http(s) url: ${template}`);
+        }
+
+        return {
+            id,
+            name: provider.name || id,
+            baseUrl: baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`,
+        };
+    });
+
+    const defaultProvider = cdn.default || providers[0].id;
+    if (!providers.some(provider => provider.id === defaultProvider)) {
+        throw new Error(`cdn.default "${defaultProvider}" is not a configured provider`);
+    }
+
+    return { ref: pinnedRef, default: defaultProvider, providers };
+}
+
+/**
+ * Base URLs keyed by provider id, as written to the manifest's `baseUrls`
+ * @param {ReturnType<typeof resolveCdn>} cdn
+ * @returns {Object<string, string>}
+ */
+export function getBaseUrls(cdn) {
+    return Object.fromEntries(cdn.providers.map(provider => [provider.id, provider.baseUrl]));
+}
+
+/**
+ * TypeScript module with the `cdn` section of a config, for the library in
+ * lib/ (so consumers do not need JSON import support to use it)
+ * @param {object} config - Parsed assets.config.json
+ * @returns {string}
+ */
+export function renderCdnModule(config) {
+    const cdn = config.cdn || DEFAULT_CDN;
+    const settings = {
+        ref: cdn.ref || DEFAULT_CDN.ref,
+        default: cdn.default || Object.keys(cdn.providers || {})[0],
+        providers: cdn.providers || {},
+    };
+    return [
+        '/**',
+        ' * @fileoverview CDN settings from the `cdn` section of assets.config.json',
+        ' * @module @codefuturist/static-assets/cdn.config',
+        ' *',
+        ' * Generated by `npm run build:lib`, do not edit.',
+        ' */',
+        '',
+        `export const CDN_CONFIG = ${JSON.stringify(settings, null, 4)} as const;`,
+        '',
+    ].join('\n');
+}
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { resolveCdn, getBaseUrls, renderCdnModule } from './cdn.js';
+
+const config = {
+    cdn: {
+        ref: 'main',
+        default: 'jsdelivr',
+        providers: {
+            github: { name: 'GitHub Pages', url: 'https://acme.github.io/assets' },
+            jsdelivr: { name: 'jsDelivr', url: 'https://cdn.jsdelivr.net/gh/acme/assets@{ref}/site/' },
+        },
+    },
+};
+
+test('expands {ref} and adds a trailing slash', () => {
+    assert.deepEqual(getBaseUrls(resolveCdn(config, { ref: 'v1.2.0' })), {
+        github: 'https://acme.github.io/assets/',
+        jsdelivr: 'https://cdn.jsdelivr.net/gh/acme/assets@v1.2.0/site/',
+    });
+});
+
+test('rejects unknown template variables and defaults', () => {
+    const providers = { cdn: { providers: { x: { url: 'https://{host}/' } } } };
+    assert.throws(() => resolveCdn(providers), /Unknown variable \{host\}/);
+    assert.throws(() => resolveCdn({ cdn: { ...config.cdn, default: 'unpkg' } }), /cdn.default "unpkg"/);
+});
+
+test('lib/cdn.config.ts matches assets.config.json (run npm run build:lib)', async () => {
+    const repoConfig = JSON.parse(await fs.readFile(new URL('../../assets.config.json', import.meta.url), 'utf-8'));
+    const generated = await fs.readFile(new URL('../../lib/cdn.config.ts', import.meta.url), 'utf-8');
+    assert.equal(generated, renderCdnModule(repoConfig));
+});
@@ -0,0 +1,47 @@
+/**
+ * Config Loading
+ *
+ * Shared by the Node API and the CLI. `config` is either the path of a
+ * config file (relative to `rootDir`) or an already parsed config object;
+ * `sourceDir` and `outputDir` override the config's values.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Repository root (scripts/lib/..), where assets.config.json lives
+export const DEFAULT_ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+export const DEFAULT_CONFIG_FILE = 'assets.config.json';
+
+function withOverrides(config, { sourceDir, outputDir }) {
+    return {
+        ...config,
+        ...(sourceDir ? { sourceDir } : {}),
+        ...(outputDir ? { outputDir } : {}),
+    };
+}
+
+/**
+ * @param {{rootDir?: string, config?: string|object, sourceDir?: string, outputDir?: string}} [options]
+ *   `sourceDir` and `outputDir` are relative to rootDir
+ * @returns {Promise<{rootDir: string, configPath: string|null, config: object}>}
+ *   `configPath` is null when a config object was passed
+ * @throws {Error} When the config file can't be read or parsed
+ */
+export async function loadConfig({ rootDir = DEFAULT_ROOT_DIR, config = DEFAULT_CONFIG_FILE, ...overrides } = {}) {
+    const root = path.resolve(rootDir);
+    if (typeof config === 'object' && config !== null) {
+        return { rootDir: root, configPath: null, config: withOverrides(config, overrides) };
+    }
+
+    const configPath = path.resolve(root, config);
+    let parsed;
+    try {
+        parsed = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+    } catch (err) {
+        throw new Error(`Cannot read config ${path.relative(root, configPath) || configPath}: ${err.message}`);
+    }
+    return { rootDir: root, configPath, config: withOverrides(parsed, overrides) };
+}
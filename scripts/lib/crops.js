@@ -0,0 +1,90 @@
+/**
+ * Art-Direction Crops
+ *
+ * Resolves the focal point and named crops of an asset in meta.json:
+ *
+ *   "hero": {
+ *       "focalPoint": { "x": 0.7, "y": "40%" },   # Fractions or percentages of the source
+ *       "crops": {
+ *           "wide": "16:9",                       # Aspect ratio
+ *           "standard": "4:3",
+ *           "square": { "aspectRatio": "1:1", "focalPoint": { "x": 0.65, "y": 0.3 } }
+ *       }
+ *   }
+ *
+ * Each crop is the largest region of the source with its aspect ratio,
+ * centred on the focal point as far as the source edges allow. The generator
+ * writes every crop at every configured width.
+ */
+
+const CROP_NAME = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const ASPECT_RATIO = /^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/;
+const DEFAULT_FOCAL_POINT = { x: 0.5, y: 0.5 };
+
+/**
+ * @param {object} [assetMeta] - Entry of `assets.<type>.<id>` in meta.json
+ * @returns {Array<{name: string, aspectRatio: string, ratio: number, focalPoint: {x: number, y: number}}>}
+ */
+export function resolveCrops(assetMeta = {}) {
+    const focalPoint = resolveFocalPoint(assetMeta.focalPoint, 'focalPoint');
+    const crops = assetMeta.crops ?? {};
+    if (typeof crops !== 'object' || Array.isArray(crops)) {
+        throw new Error(`Invalid crops: ${JSON.stringify(crops)} (use an object of named aspect ratios)`);
+    }
+
+    return Object.entries(crops).map(([name, value]) => {
+        if (!CROP_NAME.test(name)) throw new Error(`Invalid crop name "${name}" (use kebab-case)`);
+
+        const crop = typeof value === 'string' ? { aspectRatio: value } : value;
+        const match = String(crop?.aspectRatio ?? '').match(ASPECT_RATIO);
+        const ratio = match ? Number(match[1]) / Number(match[2]) : NaN;
+        if (!(ratio > 0 && Number.isFinite(ratio))) {
+            throw new Error(`Invalid aspect ratio for crop "${name}": ${JSON.stringify(crop?.aspectRatio)} (use "width:height", e.g. "16:9")`);
+        }
+
+        return {
+            name,
+            aspectRatio: crop.aspectRatio,
+            ratio,
+            focalPoint: crop.focalPoint === undefined
+                ? focalPoint
+                : resolveFocalPoint(crop.focalPoint, `focalPoint of crop "${name}"`),
+        };
+    });
+}
+
+/**
+ * Region of a `width`×`height` source covered by a crop, in source pixels.
+ */
+export function getCropRegion(width, height, { ratio, focalPoint }) {
+    const cropWidth = Math.max(1, Math.min(width, Math.round(height * ratio)));
+    const cropHeight = Math.max(1, Math.min(height, Math.round(width / ratio)));
+    return {
+        left: clamp(Math.round(focalPoint.x * width - cropWidth / 2), 0, width - cropWidth),
+        top: clamp(Math.round(focalPoint.y * height - cropHeight / 2), 0, height - cropHeight),
+        width: cropWidth,
+        height: cropHeight,
+    };
+}
+
+function resolveFocalPoint(value, label) {
+    if (value === undefined) return DEFAULT_FOCAL_POINT;
+
+    const point = { x: toFraction(value?.x), y: toFraction(value?.y) };
+    if (![point.x, point.y].every(n => n >= 0 && n <= 1)) {
+        throw new Error(`Invalid ${label}: ${JSON.stringify(value)} (use { "x": 0-1, "y": 0-1 } or percentages)`);
+    }
+    return point;
+}
+
+// Accepts a fraction (0.7) or a percentage ("70%"); NaN otherwise
+function toFraction(value) {
+    if (typeof value === 'string' && value.trim().endsWith('%')) {
+        return parseFloat(value) / 100;
+    }
+    return typeof value === 'number' ? value : NaN;
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
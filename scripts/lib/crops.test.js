@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveCrops, getCropRegion } from './crops.js';
+
+test('resolves no crops for an asset without them', () => {
+    assert.deepEqual(resolveCrops(), []);
+    assert.deepEqual(resolveCrops({ focalPoint: { x: 0.2, y: 0.8 } }), []);
+});
+
+test('resolves aspect ratios and focal points', () => {
+    const [wide, square] = resolveCrops({
+        focalPoint: { x: 0.7, y: '40%' },
+        crops: {
+            wide: '16:9',
+            square: { aspectRatio: '1:1', focalPoint: { x: '65%', y: 0.3 } },
+        },
+    });
+    assert.deepEqual(wide, { name: 'wide', aspectRatio: '16:9', ratio: 16 / 9, focalPoint: { x: 0.7, y: 0.4 } });
+    assert.deepEqual(square, { name: 'square', aspectRatio: '1:1', ratio: 1, focalPoint: { x: 0.65, y: 0.3 } });
+});
+
+test('defaults the focal point to the centre', () => {
+    assert.deepEqual(resolveCrops({ crops: { wide: '2.35:1' } })[0].focalPoint, { x: 0.5, y: 0.5 });
+});
+
+test('rejects invalid names, ratios and focal points', () => {
+    assert.throws(() => resolveCrops({ crops: ['16:9'] }), /Invalid crops/);
+    assert.throws(() => resolveCrops({ crops: { Wide: '16:9' } }), /Invalid crop name "Wide"/);
+    assert.throws(() => resolveCrops({ crops: { wide: '16x9' } }), /Invalid aspect ratio for crop "wide"/);
+    assert.throws(() => resolveCrops({ crops: { flat: '16:0' } }), /Invalid aspect ratio/);
+    assert.throws(() => resolveCrops({ focalPoint: { x: 1.5, y: 0.5 } }), /Invalid focalPoint/);
+    assert.throws(() => resolveCrops({ crops: { square: { aspectRatio: '1:1', focalPoint: { x: 0.5 } } } }), /focalPoint of crop "square"/);
+});
+
+test('takes the largest region with the aspect ratio around the focal point', () => {
+    const region = getCropRegion(1600, 1200, { ratio: 1, focalPoint: { x: 0.5, y: 0.5 } });
+    assert.deepEqual(region, { left: 200, top: 0, width: 1200, height: 1200 });
+    assert.deepEqual(getCropRegion(1600, 1200, { ratio: 16 / 9, focalPoint: { x: 0.5, y: 0.25 } }), { left: 0, top: 0, width: 1600, height: 900 });
+});
+
+test('keeps the region inside the source near the edges', () => {
+    assert.deepEqual(getCropRegion(1600, 1200, { ratio: 1, focalPoint: { x: 1, y: 0 } }), { left: 400, top: 0, width: 1200, height: 1200 });
+    assert.deepEqual(getCropRegion(1600, 1200, { ratio: 4, focalPoint: { x: 0, y: 1 } }), { left: 0, top: 800, width: 1600, height: 400 });
+});
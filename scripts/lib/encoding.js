@@ -0,0 +1,97 @@
+/**
+ * Encoder Settings
+ *
+ * Resolves per-format encoder options from, in increasing precedence:
+ *
+ *   defaults.quality / defaults.encoding     (assets.config.json)
+ *   <brand>.<type>.quality / .encoding       (assets.config.json)
+ *   assets.<type>.<asset>.encoding           (brand meta.json)
+ *
+ * `quality` maps format -> number; `encoding` maps format -> options:
+ *
+ *   "encoding": {
+ *       "webp": { "quality": 90, "nearLossless": true, "effort": 6 },
+ *       "avif": { "quality": 60, "chromaSubsampling": "4:4:4" },
+ *       "png": { "palette": true, "quality": 80 },
+ *       "gif": { "colours": 128, "dither": 0.5 }
+ *   }
+ */
+
+// Options each format accepts (see the sharp output options of the same name)
+export const ENCODING_OPTIONS = {
+    jpg: ['quality', 'chromaSubsampling'],
+    png: ['quality', 'palette', 'effort'],
+    webp: ['quality', 'lossless', 'nearLossless', 'effort'],
+    avif: ['quality', 'lossless', 'effort', 'chromaSubsampling'],
+    gif: ['colours', 'effort', 'dither'],
+};
+
+function normalizeFormat(format) {
+    return format === 'jpeg' ? 'jpg' : format;
+}
+
+/**
+ * @param {string} format - Output format (jpg, jpeg, png, webp, avif, gif)
+ * @param {Array<{quality?: object, encoding?: object}|undefined>} layers - Config layers, lowest precedence first
+ * @returns {object} Merged encoder options for the format
+ */
+export function resolveEncoding(format, layers) {
+    const key = normalizeFormat(format);
+    const options = {};
+    for (const layer of layers) {
+        if (!layer) continue;
+        if (layer.quality?.[key] !== undefined) options.quality = layer.quality[key];
+        Object.assign(options, layer.encoding?.[key]);
+    }
+    return options;
+}
+
+/**
+ * Apply the format's encoder to a sharp pipeline.
+ *
+ * @param {import('sharp').Sharp} pipeline
+ * @param {string} format - Output format (jpg, jpeg, png, webp, avif, gif)
+ * @param {object} options - Result of resolveEncoding()
+ * @returns {import('sharp').Sharp}
+ */
+export function applyEncoding(pipeline, format, options) {
+    switch (normalizeFormat(format)) {
+        case 'jpg':
+            return pipeline.jpeg({
+                quality: options.quality,
+                chromaSubsampling: options.chromaSubsampling,
+                mozjpeg: true,
+            });
+        case 'png':
+            return pipeline.png({
+                // quality and effort only apply to palette (quantized) output
+                palette: options.palette || false,
+                quality: options.quality,
+                effort: options.effort,
+                compressionLevel: 9,
+            });
+        case 'webp':
+            return pipeline.webp({
+                quality: options.quality,
+                lossless: options.lossless || false,
+                nearLossless: options.nearLossless || false,
+                effort: options.effort,
+            });
+        case 'avif':
+            return pipeline.avif({
+                quality: options.quality,
+                lossless: options.lossless || false,
+                effort: options.effort,
+                chromaSubsampling: options.chromaSubsampling,
+            });
+        case 'gif':
+            // Frame delays and loop count are kept from the source
+            return pipeline.gif({
+                colours: options.colours,
+                effort: options.effort,
+                dither: options.dither,
+            });
+        default:
+            return pipeline;
+    }
+}
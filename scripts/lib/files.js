@@ -0,0 +1,32 @@
+/**
+ * Source File Discovery
+ *
+ * The recursive directory walk shared by the generator and the validator, so
+ * both see the same source files (including those in subdirectories).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * @param {string} dir
+ * @param {string[]} [extensions] - Lowercase extensions with dot; all files when empty
+ * @returns {Promise<string[]>} Paths of the files under `dir`
+ */
+export async function getFiles(dir, extensions = []) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await getFiles(fullPath, extensions));
+        } else if (entry.isFile()) {
+            const ext = path.extname(entry.name).toLowerCase();
+            if (extensions.length === 0 || extensions.includes(ext)) {
+                files.push(fullPath);
+            }
+        }
+    }
+    return files;
+}
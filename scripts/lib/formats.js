@@ -0,0 +1,88 @@
+/**
+ * Source Formats
+ * The source files the generator builds, the validator checks and the watcher
+ * rebuilds on. Files of other formats in asset type directories are reported
+ * as unsupported rather than skipped silently.
+ */
+
+import path from 'path';
+import sharp from 'sharp';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Registry
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Image sources by extension:
+ * - `kind`: "vector" sources are optimized with SVGO and rasterized, "raster"
+ *   sources are resized and re-encoded
+ * - `original`: format written for the "original" format entry. Masters that
+ *   browsers can't display (TIFF, HEIC) are written as PNG/JPEG instead
+ * - `decoder`: libvips loader (a key of `sharp.format`)
+ * - `animated`: multi-frame sources stay animated (see processRasterImage())
+ * - `requires`: what libvips needs to decode it, when sharp's prebuilt
+ *   binaries can't
+ */
+export const IMAGE_FORMATS = {
+    '.svg': { kind: 'vector', original: 'svg', decoder: 'svg' },
+    '.png': { kind: 'raster', original: 'png', decoder: 'png' },
+    '.jpg': { kind: 'raster', original: 'jpg', decoder: 'jpeg' },
+    '.jpeg': { kind: 'raster', original: 'jpeg', decoder: 'jpeg' },
+    '.webp': { kind: 'raster', original: 'webp', decoder: 'webp', animated: true },
+    '.gif': { kind: 'raster', original: 'gif', decoder: 'gif', animated: true },
+    '.avif': { kind: 'raster', original: 'avif', decoder: 'heif' },
+    '.tif': { kind: 'raster', original: 'png', decoder: 'tiff' },
+    '.tiff': { kind: 'raster', original: 'png', decoder: 'tiff' },
+    '.heic': { kind: 'raster', original: 'jpg', decoder: 'heif', requires: 'libheif with an HEVC decoder' },
+    '.heif': { kind: 'raster', original: 'jpg', decoder: 'heif', requires: 'libheif with an HEVC decoder' },
+};
+
+// Non-image directories under _source/shared/
+export const SHARED_FORMATS = {
+    css: ['.css'],
+    js: ['.js', '.mjs'],
+    fonts: ['.ttf', '.otf', '.woff', '.woff2'],
+};
+
+export const VECTOR_EXTENSIONS = getExtensions('vector');
+export const RASTER_EXTENSIONS = getExtensions('raster');
+
+// Everything a rebuild depends on: images, shared files, meta.json and configs
+export const WATCHED_EXTENSIONS = [
+    ...Object.keys(IMAGE_FORMATS),
+    ...Object.values(SHARED_FORMATS).flat(),
+    '.json',
+];
+
+function getExtensions(kind) {
+    return Object.keys(IMAGE_FORMATS).filter(ext => IMAGE_FORMATS[ext].kind === kind);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Lookup
+// ─────────────────────────────────────────────────────────────────────────────
+
+export function getImageFormat(filePath) {
+    return IMAGE_FORMATS[path.extname(filePath).toLowerCase()] || null;
+}
+
+// Whether the installed libvips can read files with the extension
+function isDecodable(ext) {
+    const loader = sharp.format[IMAGE_FORMATS[ext].decoder]?.input;
+    return Boolean(loader?.file && loader.fileSuffix?.includes(ext));
+}
+
+/**
+ * Why an asset source can't be built, or null when it can.
+ */
+export function getUnsupportedReason(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (!IMAGE_FORMATS[ext]) {
+        return `Unsupported source format "${ext || path.basename(filePath)}" (supported: ${Object.keys(IMAGE_FORMATS).join(', ')})`;
+    }
+    if (!isDecodable(ext)) {
+        const { requires } = IMAGE_FORMATS[ext];
+        return `This libvips build can't decode ${ext} sources${requires ? ` (needs ${requires})` : ''}`;
+    }
+    return null;
+}
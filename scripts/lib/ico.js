@@ -0,0 +1,34 @@
+/**
+ * ICO Encoding
+ *
+ * Packs PNG images into a single ICO container for favicon.ico. Entries stay
+ * PNG-compressed, which every browser that still requests favicon.ico reads.
+ */
+
+/**
+ * @param {Array<{size: number, data: Buffer}>} images - Square PNGs and their size in pixels
+ * @returns {Buffer}
+ */
+export function encodeIco(images) {
+    const header = Buffer.alloc(6);
+    header.writeUInt16LE(0, 0); // Reserved
+    header.writeUInt16LE(1, 2); // Type: icon
+    header.writeUInt16LE(images.length, 4);
+
+    let offset = header.length + images.length * 16;
+    const entries = images.map(({ size, data }) => {
+        const entry = Buffer.alloc(16);
+        entry.writeUInt8(size >= 256 ? 0 : size, 0); // Width (0 = 256)
+        entry.writeUInt8(size >= 256 ? 0 : size, 1); // Height (0 = 256)
+        entry.writeUInt8(0, 2); // Palette size
+        entry.writeUInt8(0, 3); // Reserved
+        entry.writeUInt16LE(1, 4); // Color planes
+        entry.writeUInt16LE(32, 6); // Bits per pixel
+        entry.writeUInt32LE(data.length, 8);
+        entry.writeUInt32LE(offset, 12);
+        offset += data.length;
+        return entry;
+    });
+
+    return Buffer.concat([header, ...entries, ...images.map(image => image.data)]);
+}
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { encodeIco } from './ico.js';
+import { buildAssets } from './build.js';
+
+const png = length => Buffer.alloc(length, 0xab);
+
+test('writes the ICONDIR header with the image count', () => {
+    const ico = encodeIco([{ size: 16, data: png(10) }, { size: 32, data: png(20) }]);
+    assert.equal(ico.readUInt16LE(0), 0);
+    assert.equal(ico.readUInt16LE(2), 1);
+    assert.equal(ico.readUInt16LE(4), 2);
+});
+
+test('points each directory entry at its image data', () => {
+    const images = [{ size: 16, data: png(10) }, { size: 48, data: png(30) }];
+    const ico = encodeIco(images);
+    const dataStart = 6 + 16 * images.length;
+
+    images.forEach((image, index) => {
+        const entry = 6 + index * 16;
+        assert.equal(ico.readUInt8(entry), image.size);
+        assert.equal(ico.readUInt8(entry + 1), image.size);
+        assert.equal(ico.readUInt16LE(entry + 6), 32);
+        assert.equal(ico.readUInt32LE(entry + 8), image.data.length);
+        const offset = ico.readUInt32LE(entry + 12);
+        assert.deepEqual(ico.subarray(offset, offset + image.data.length), image.data);
+    });
+    assert.equal(ico.readUInt32LE(6 + 12), dataStart);
+    assert.equal(ico.length, dataStart + 40);
+});
+
+test('stores 256px and larger as 0 (the ICO encoding of 256)', () => {
+    const ico = encodeIco([{ size: 256, data: png(4) }]);
+    assert.equal(ico.readUInt8(6), 0);
+    assert.equal(ico.readUInt8(7), 0);
+});
+
+test('favicon.ico skips frames larger than a raster source', async () => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ico-'));
+    try {
+        const iconsDir = path.join(rootDir, '_source', 'brands', 'acme', 'icons');
+        await fs.mkdir(iconsDir, { recursive: true });
+        await sharp({ create: { width: 24, height: 24, channels: 4, background: '#1e40af' } })
+            .png()
+            .toFile(path.join(iconsDir, 'icon.png'));
+
+        const result = await buildAssets({
+            rootDir,
+            config: { sourceDir: '_source', outputDir: 'site/v1', brands: { acme: { favicon: true } } },
+        });
+        assert.ok(result.ok, result.errors.join('\n'));
+        assert.ok(result.warnings.some(warning => warning.includes('32×32 frame of favicon.ico')));
+
+        const ico = await fs.readFile(path.join(rootDir, 'site', 'v1', 'brands', 'acme', 'favicons', 'favicon.ico'));
+        assert.equal(ico.readUInt16LE(4), 1);
+        assert.equal(ico.readUInt8(6), 16);
+    } finally {
+        await fs.rm(rootDir, { recursive: true, force: true });
+    }
+});
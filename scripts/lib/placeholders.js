@@ -0,0 +1,75 @@
+/**
+ * Image Placeholders
+ *
+ * Computes what a page needs to show an image before it has loaded: a tiny
+ * base64 LQIP, a ThumbHash, the dominant colour and whether the image has
+ * transparent pixels. All values come from one decode of the source.
+ */
+
+import sharp from 'sharp';
+import { rgbaToThumbHash } from 'thumbhash';
+
+// Longest side of the embedded LQIP image
+const LQIP_SIZE = 16;
+
+// ThumbHash accepts images of at most 100×100
+const THUMBHASH_SIZE = 100;
+
+// Pixels at or below this alpha don't count towards the dominant colour
+const ALPHA_THRESHOLD = 127;
+
+function toHex(rgb) {
+    return `#${rgb.map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Most common colour of the visible pixels of raw RGBA data: pixels are
+ * binned at 4 bits per channel and the fullest bin is averaged. (sharp's
+ * `stats().dominant` counts transparent pixels as black.)
+ */
+function getDominantColor(data) {
+    const bins = new Map();
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] <= ALPHA_THRESHOLD) continue;
+        const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+        const bin = bins.get(key) || { count: 0, sum: [0, 0, 0] };
+        bin.count++;
+        bin.sum[0] += data[i];
+        bin.sum[1] += data[i + 1];
+        bin.sum[2] += data[i + 2];
+        bins.set(key, bin);
+    }
+    if (bins.size === 0) return null;
+
+    const top = [...bins.values()].reduce((best, bin) => bin.count > best.count ? bin : best);
+    return toHex(top.sum.map(sum => sum / top.count));
+}
+
+/**
+ * @param {string} inputPath - Source image (raster or SVG)
+ * @returns {Promise<{lqip: string, thumbhash: string, dominantColor: string|null, hasAlpha: boolean}>}
+ *   `dominantColor` is null for fully transparent images
+ */
+export async function getPlaceholder(inputPath) {
+    const { data, info } = await sharp(inputPath)
+        .resize(THUMBHASH_SIZE, THUMBHASH_SIZE, { fit: 'inside' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const raw = { raw: { width: info.width, height: info.height, channels: 4 } };
+
+    const lqip = await sharp(data, raw)
+        .resize(LQIP_SIZE, LQIP_SIZE, { fit: 'inside' })
+        .webp({ quality: 50, alphaQuality: 50 })
+        .toBuffer();
+
+    let hasAlpha = false;
+    for (let i = 3; i < data.length && !hasAlpha; i += 4) hasAlpha = data[i] < 255;
+
+    return {
+        lqip: `data:image/webp;base64,${lqip.toString('base64')}`,
+        thumbhash: Buffer.from(rgbaToThumbHash(info.width, info.height, data)).toString('base64'),
+        dominantColor: getDominantColor(data),
+        hasAlpha,
+    };
+}
@@ -0,0 +1,53 @@
+/**
+ * Bounded Task Pool
+ *
+ * Runs async tasks with at most `concurrency` in flight and records how long
+ * each one took. Only leaf tasks (a single encode or write) should go through
+ * the pool: a task that waits for other pool tasks can deadlock it.
+ */
+
+import { performance } from 'perf_hooks';
+
+/**
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @returns {{concurrency: number, run: Function, timings: Array<{label: string, ms: number}>}}
+ */
+export function createPool(concurrency) {
+    const size = Math.max(1, Math.floor(concurrency) || 1);
+    const queue = [];
+    const timings = [];
+    let active = 0;
+
+    function next() {
+        while (active < size && queue.length > 0) {
+            const { task, label, resolve, reject } = queue.shift();
+            const start = performance.now();
+            active++;
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    timings.push({ label, ms: performance.now() - start });
+                    active--;
+                    next();
+                });
+        }
+    }
+
+    return {
+        concurrency: size,
+        timings,
+        /**
+         * @template T
+         * @param {() => Promise<T>|T} task
+         * @param {string} [label] - Shown in timing reports
+         * @returns {Promise<T>}
+         */
+        run(task, label = 'task') {
+            return new Promise((resolve, reject) => {
+                queue.push({ task, label, resolve, reject });
+                next();
+            });
+        },
+    };
+}
@@ -0,0 +1,68 @@
+/**
+ * Size Preset Resolution
+ *
+ * Resolves the `sizes` value of an asset config into a flat list of size
+ * entries. Accepted forms:
+ *
+ *   "sizes": "icons"                                  # Single named preset
+ *   "sizes": ["favicons", "social"]                   # Composed presets
+ *   "sizes": ["icons", { "name": "128", "width": 128 }] # Presets mixed with inline sizes
+ *   "sizes": {                                        # Extension/exclusion
+ *       "preset": "icons",
+ *       "extend": [{ "name": "128", "width": 128 }],
+ *       "exclude": ["20", "40"]
+ *   }
+ *
+ * Presets may themselves reference other presets by name.
+ */
+
+/**
+ * @param {string|Array|object|undefined} sizes - Sizes value from the config
+ * @param {object} [presets] - The `presets` block of assets.config.json
+ * @returns {Array<{name: string, width: number, height?: number}>}
+ */
+export function resolveSizes(sizes, presets = {}) {
+    const resolved = new Map();
+    for (const entry of expandSizes(sizes, presets, [])) {
+        // Later entries override earlier ones with the same name
+        resolved.set(entry.name, entry);
+    }
+    return Array.from(resolved.values());
+}
+
+function expandSizes(sizes, presets, stack) {
+    if (sizes === undefined || sizes === null) return [];
+
+    if (typeof sizes === 'string') {
+        return expandPreset(sizes, presets, stack);
+    }
+
+    if (Array.isArray(sizes)) {
+        return sizes.flatMap(item => expandSizes(item, presets, stack));
+    }
+
+    if (typeof sizes === 'object') {
+        // Inline size entry
+        if ('width' in sizes) return [sizes];
+
+        const excluded = new Set((sizes.exclude || []).map(String));
+        const entries = [
+            ...expandSizes(sizes.preset, presets, stack),
+            ...expandSizes(sizes.extend, presets, stack),
+        ];
+        return entries.filter(entry => !excluded.has(String(entry.name)));
+    }
+
+    throw new Error(`Invalid sizes value: ${JSON.stringify(sizes)}`);
+}
+
+function expandPreset(name, presets, stack) {
+    if (stack.includes(name)) {
+        throw new Error(`Circular preset reference: ${[...stack, name].join(' → ')}`);
+    }
+    if (!Object.hasOwn(presets, name)) {
+        throw new Error(`Unknown size preset: "${name}"`);
+    }
+
+    return expandSizes(presets[name], presets, [...stack, name]);
+}
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSizes } from './presets.js';
+
+const presets = {
+    favicons: [{ name: '16', width: 16 }, { name: '32', width: 32 }],
+    icons: ['favicons', { name: '64', width: 64 }],
+    social: [{ name: 'og', width: 1200, height: 630 }],
+};
+
+const names = sizes => sizes.map(size => size.name);
+
+test('resolves nothing for a missing sizes value', () => {
+    assert.deepEqual(resolveSizes(undefined, presets), []);
+    assert.deepEqual(resolveSizes(null, presets), []);
+});
+
+test('expands a preset that references another preset', () => {
+    assert.deepEqual(names(resolveSizes('icons', presets)), ['16', '32', '64']);
+});
+
+test('composes presets with inline sizes', () => {
+    const sizes = resolveSizes(['favicons', 'social', { name: '128', width: 128 }], presets);
+    assert.deepEqual(names(sizes), ['16', '32', 'og', '128']);
+    assert.equal(sizes[2].height, 630);
+});
+
+test('extends and excludes entries of a preset', () => {
+    const sizes = resolveSizes({ preset: 'icons', extend: [{ name: '96', width: 96 }], exclude: ['16', 64] }, presets);
+    assert.deepEqual(names(sizes), ['32', '96']);
+});
+
+test('lets later entries replace earlier ones with the same name', () => {
+    const sizes = resolveSizes(['favicons', { name: '32', width: 33 }], presets);
+    assert.deepEqual(sizes.map(size => size.width), [16, 33]);
+});
+
+test('rejects unknown and circular presets', () => {
+    assert.throws(() => resolveSizes('missing', presets), /Unknown size preset: "missing"/);
+    assert.throws(
+        () => resolveSizes('a', { a: ['b'], b: ['a'] }),
+        /Circular preset reference: a → b → a/
+    );
+});
+
+test('rejects values that are not presets or sizes', () => {
+    assert.throws(() => resolveSizes(42, presets), /Invalid sizes value: 42/);
+});
@@ -0,0 +1,176 @@
+/**
+ * Build Report and Size Budgets
+ *
+ * Summarises the files of a build (bytes, savings versus the source, encode
+ * time, per-owner totals) and checks them against the `budgets` of
+ * assets.config.json:
+ *
+ *   "budgets": [
+ *       { "assetType": "images", "size": "hero", "maxBytes": "300 KB" },
+ *       { "assetType": "logos", "format": "png", "maxBytes": 51200 },
+ *       { "brand": "acme", "maxBytes": "1 MB" }
+ *   ]
+ *
+ * A budget applies to every file matching all of its filters. `size` matches
+ * a size name or width; "original" matches unresized files.
+ */
+
+const BYTE_UNITS = { b: 1, kb: 1024, kib: 1024, mb: 1024 ** 2, mib: 1024 ** 2 };
+const BYTES_PATTERN = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i;
+const BUDGET_FILTERS = ['brand', 'assetType', 'format', 'size'];
+
+/**
+ * @param {number|string} value - Bytes, or a string such as "300 KB" or "1.5MB"
+ * @returns {number}
+ * @throws {Error} When the value isn't a positive size
+ */
+export function parseBytes(value) {
+    if (Number.isInteger(value) && value > 0) return value;
+    const match = typeof value === 'string' ? value.trim().match(BYTES_PATTERN) : null;
+    const unit = match && BYTE_UNITS[(match[2] || 'b').toLowerCase()];
+    if (!unit || Number(match[1]) <= 0) {
+        throw new Error(`Invalid byte size ${JSON.stringify(value)} (use a number of bytes or e.g. "300 KB")`);
+    }
+    return Math.round(Number(match[1]) * unit);
+}
+
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * @param {Array<object>} budgets - `budgets` from assets.config.json
+ * @returns {Array<object>} Budgets with `maxBytes` in bytes
+ * @throws {Error} When a budget has no `maxBytes`, an invalid size or an unknown key
+ */
+export function resolveBudgets(budgets = []) {
+    if (!Array.isArray(budgets)) throw new Error('budgets must be an array');
+    return budgets.map((budget, i) => {
+        const unknown = Object.keys(budget).filter(key => key !== 'maxBytes' && !BUDGET_FILTERS.includes(key));
+        if (unknown.length > 0) throw new Error(`budgets[${i}] has unknown keys: ${unknown.join(', ')}`);
+        if (budget.maxBytes === undefined) throw new Error(`budgets[${i}] has no maxBytes`);
+        return { ...budget, maxBytes: parseBytes(budget.maxBytes) };
+    });
+}
+
+function matchesSize(file, size) {
+    if (size === 'original') return file.size === null;
+    return file.sizeName === size || file.size === size || String(file.size) === String(size);
+}
+
+function matchesBudget(file, budget) {
+    return (budget.brand === undefined || file.owner === budget.brand)
+        && (budget.assetType === undefined || file.assetType === budget.assetType)
+        && (budget.format === undefined || file.format === budget.format)
+        && (budget.size === undefined || matchesSize(file, budget.size));
+}
+
+function describeBudget(budget) {
+    const filters = BUDGET_FILTERS.filter(key => budget[key] !== undefined).map(key => `${key}=${budget[key]}`);
+    return `${filters.length > 0 ? filters.join(', ') : 'all files'} ≤ ${formatBytes(budget.maxBytes)}`;
+}
+
+/**
+ * @param {Array<{path: string, bytes: number}>} files - Report files
+ * @param {Array<object>} budgets - Resolved budgets
+ * @returns {Array<{path: string, bytes: number, maxBytes: number, budget: string}>}
+ */
+export function checkBudgets(files, budgets) {
+    return files.flatMap(file => budgets
+        .filter(budget => matchesBudget(file, budget) && file.bytes > budget.maxBytes)
+        .map(budget => ({ path: file.path, bytes: file.bytes, maxBytes: budget.maxBytes, budget: describeBudget(budget) })));
+}
+
+function getSavings(bytes, sourceBytes) {
+    return sourceBytes ? Math.round((1 - bytes / sourceBytes) * 1000) / 10 : null;
+}
+
+/**
+ * @param {{version: string, files: Array<object>, budgets: Array<object>}} build
+ *   `files` have path, owner, assetType, format, bytes, sourceBytes and encodeMs
+ * @returns {object} The JSON report
+ */
+export function createReport({ version, files, budgets }) {
+    const totals = owners => {
+        const bytes = owners.reduce((sum, file) => sum + file.bytes, 0);
+        const encodeMs = owners.reduce((sum, file) => sum + (file.encodeMs || 0), 0);
+        return { files: owners.length, bytes, encodeMs: Math.round(encodeMs) };
+    };
+
+    const owners = [...new Set(files.map(file => file.owner))].sort();
+    return {
+        generated: new Date().toISOString(),
+        version,
+        totals: totals(files),
+        owners: owners.map(owner => ({ id: owner, ...totals(files.filter(file => file.owner === owner)) })),
+        budgets: budgets.map(budget => ({ ...budget, description: describeBudget(budget) })),
+        violations: checkBudgets(files, budgets),
+        files: files.map(file => ({ ...file, savings: getSavings(file.bytes, file.sourceBytes) })),
+    };
+}
+
+function table(headers, rows) {
+    return [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map((header, i) => i === 0 ? '---' : '---:').join(' | ')} |`,
+        ...rows.map(row => `| ${row.join(' | ')} |`),
+    ];
+}
+
+/**
+ * @param {ReturnType<typeof createReport>} report
+ * @param {number} [largest] - Number of largest files to list
+ * @returns {string} Markdown summary
+ */
+export function renderReportMarkdown(report, largest = 10) {
+    const formatMs = ms => ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`;
+    const lines = [
+        `# Build report: ${report.version}`,
+        '',
+        `${report.totals.files} files, ${formatBytes(report.totals.bytes)}, ${formatMs(report.totals.encodeMs)} encode time. Generated ${report.generated}.`,
+        '',
+        '## Budgets',
+        '',
+    ];
+
+    if (report.budgets.length === 0) {
+        lines.push('No budgets configured.');
+    } else if (report.violations.length === 0) {
+        lines.push(`✅ All files within ${report.budgets.length} budget${report.budgets.length === 1 ? '' : 's'}.`);
+    } else {
+        lines.push(
+            `❌ ${report.violations.length} file${report.violations.length === 1 ? '' : 's'} over budget:`,
+            '',
+            ...table(['File', 'Size', 'Budget'], report.violations.map(violation => [
+                `\`${violation.path}\``, formatBytes(violation.bytes), violation.budget,
+            ])),
+        );
+    }
+
+    lines.push(
+        '',
+        '## Totals',
+        '',
+        ...table(['Owner', 'Files', 'Bytes', 'Encode time'], report.owners.map(owner => [
+            owner.id, owner.files, formatBytes(owner.bytes), formatMs(owner.encodeMs),
+        ])),
+        '',
+        '## Largest files',
+        '',
+        ...table(['File', 'Format', 'Size', 'vs. source', 'Encode time'], [...report.files]
+            .sort((a, b) => b.bytes - a.bytes)
+            .slice(0, largest)
+            .map(file => [
+                `\`${file.path}\``,
+                file.format,
+                formatBytes(file.bytes),
+                file.savings === null ? '–' : `${file.savings > 0 ? '−' : '+'}${Math.abs(file.savings)}%`,
+                file.encodeMs === null ? '–' : formatMs(file.encodeMs),
+            ])),
+        '',
+    );
+
+    return lines.join('\n');
+}
@@ -0,0 +1,99 @@
+/**
+ * SVG Accessibility and Metadata
+ *
+ * Gives optimized SVG markup an accessible name and description, plus
+ * optional copyright and licence metadata:
+ *
+ *   <svg role="img" aria-labelledby="acme-logos-logo-title acme-logos-logo-desc" ...>
+ *     <title id="acme-logos-logo-title">Acme Logo</title>
+ *     <desc id="acme-logos-logo-desc">Primary logo for light backgrounds</desc>
+ *     <metadata>...</metadata>   # dc:rights / dcterms:license (RDF)
+ *
+ * Applied after SVGO (whose removeMetadata plugin would drop <metadata>), so
+ * the optimization is kept and only these elements are added. Any <title> or
+ * <desc> of the root element is replaced, also when it is not its first child
+ * (derived variants put a background <rect> before it).
+ */
+
+const TEXT_ELEMENTS = new Set(['title', 'desc']);
+// Tags of the markup; comments and CDATA are matched so tags inside them are skipped
+const TAG = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<(\/?)([\w:.-]+)[^>]*?(\/?)>/g;
+const REPLACED_ATTRS = new Set(['role', 'aria-label', 'aria-labelledby', 'aria-hidden']);
+
+/**
+ * @param {string} svg - Optimized SVG markup
+ * @param {object} options
+ * @param {string} options.id - Prefix of the element IDs (unique per asset)
+ * @param {string} options.title - Accessible name
+ * @param {string} [options.description]
+ * @param {string} [options.copyright] - e.g. "© 2025 Acme Inc."
+ * @param {string} [options.license] - Licence name, SPDX id or URL
+ * @returns {string}
+ */
+export function addSvgMetadata(svg, { id, title, description, copyright, license }) {
+    const rootTag = svg.match(/<svg\b[^>]*>/)?.[0];
+    if (!rootTag) throw new Error('Not an SVG document');
+
+    const selfClosing = rootTag.endsWith('/>');
+    const body = selfClosing ? '' : removeTextElements(svg.slice(svg.indexOf(rootTag) + rootTag.length));
+
+    const titleId = `${id}-title`;
+    const descId = `${id}-desc`;
+    const labelledBy = description ? `${titleId} ${descId}` : titleId;
+    const openTag = rootTag
+        .replace(/\s([\w:-]+)=(["'])(.*?)\2/g, (attr, name) => REPLACED_ATTRS.has(name) ? '' : attr)
+        .replace(/\s*\/?>$/, ` role="img" aria-labelledby="${labelledBy}">`);
+
+    const elements = [
+        `<title id="${titleId}">${escapeXml(title)}</title>`,
+        description ? `<desc id="${descId}">${escapeXml(description)}</desc>` : '',
+        renderRights(copyright, license),
+    ].join('');
+
+    return svg.slice(0, svg.indexOf(rootTag)) + openTag + elements + (selfClosing ? '</svg>' : body);
+}
+
+/**
+ * Markup following the root's start tag without the <title> and <desc>
+ * children of the root (nested ones, e.g. in a <symbol>, are kept).
+ */
+function removeTextElements(body) {
+    let kept = '';
+    let keptUntil = 0;
+    let removeFrom = null;
+    let depth = 0;
+
+    for (const { 0: tag, 1: closing, 2: name, 3: selfClosing, index } of body.matchAll(TAG)) {
+        if (!name) continue;
+        if (closing) depth--;
+        else if (depth === 0 && TEXT_ELEMENTS.has(name)) removeFrom = index;
+        if (!closing && !selfClosing) depth++;
+        if (depth < 0) break; // </svg>
+
+        if (depth === 0 && removeFrom !== null) {
+            kept += body.slice(keptUntil, removeFrom);
+            keptUntil = index + tag.length;
+            removeFrom = null;
+        }
+    }
+    return kept + body.slice(keptUntil);
+}
+
+// Copyright and licence as Dublin Core RDF, the format editors like Inkscape read
+function renderRights(copyright, license) {
+    if (!copyright && !license) return '';
+    return '<metadata><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" '
+        + 'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/">'
+        + '<rdf:Description rdf:about="">'
+        + (copyright ? `<dc:rights>${escapeXml(copyright)}</dc:rights>` : '')
+        + (license ? `<dcterms:license>${escapeXml(license)}</dcterms:license>` : '')
+        + '</rdf:Description></rdf:RDF></metadata>';
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
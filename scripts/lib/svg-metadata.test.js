@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { addSvgMetadata } from './svg-metadata.js';
+import { buildAssets } from './build.js';
+
+test('labels the root with a title and description', () => {
+    const svg = addSvgMetadata('<svg viewBox="0 0 10 10"><path d="M0 0h1"/></svg>', {
+        id: 'acme-logos-logo',
+        title: 'Acme & Co Logo',
+        description: 'Primary logo',
+    });
+    assert.equal(svg, '<svg viewBox="0 0 10 10" role="img" aria-labelledby="acme-logos-logo-title acme-logos-logo-desc">'
+        + '<title id="acme-logos-logo-title">Acme &amp; Co Logo</title>'
+        + '<desc id="acme-logos-logo-desc">Primary logo</desc>'
+        + '<path d="M0 0h1"/></svg>');
+});
+
+test('replaces the accessibility attributes of the source', () => {
+    const svg = addSvgMetadata('<svg aria-hidden="true" role="presentation" aria-label="x" viewBox="0 0 1 1"/>', { id: 'a', title: 'A' });
+    assert.equal(svg, '<svg viewBox="0 0 1 1" role="img" aria-labelledby="a-title"><title id="a-title">A</title></svg>');
+});
+
+test('replaces every title and desc of the root, wherever they are', () => {
+    const svg = addSvgMetadata('<svg><rect width="1"/><title>Old</title><path d="M0 0h1"/><desc/></svg>', { id: 'a', title: 'New' });
+    assert.equal(svg, '<svg role="img" aria-labelledby="a-title"><title id="a-title">New</title><rect width="1"/><path d="M0 0h1"/></svg>');
+});
+
+test('keeps nested titles and text in comments', () => {
+    const source = '<svg><!-- <title>x</title> --><symbol id="s"><title>Icon</title></symbol><g><desc>Group</desc></g></svg>';
+    const svg = addSvgMetadata(source, { id: 'a', title: 'New' });
+    assert.match(svg, /<!-- <title>x<\/title> --><symbol id="s"><title>Icon<\/title><\/symbol><g><desc>Group<\/desc><\/g><\/svg>$/);
+});
+
+test('adds copyright and licence as RDF metadata', () => {
+    const svg = addSvgMetadata('<svg/>', { id: 'a', title: 'A', copyright: '© 2025 Acme', license: 'CC-BY-4.0' });
+    assert.match(svg, /<metadata><rdf:RDF [^>]*><rdf:Description rdf:about="">/);
+    assert.match(svg, /<dc:rights>© 2025 Acme<\/dc:rights><dcterms:license>CC-BY-4.0<\/dcterms:license>/);
+});
+
+test('rejects markup without an svg element', () => {
+    assert.throws(() => addSvgMetadata('<html/>', { id: 'a', title: 'A' }), /Not an SVG document/);
+});
+
+test('derived variants with a background keep a single title', async () => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'svg-metadata-'));
+    try {
+        const brandDir = path.join(rootDir, '_source', 'brands', 'acme');
+        await fs.mkdir(path.join(brandDir, 'logos'), { recursive: true });
+        await fs.writeFile(path.join(brandDir, 'logos', 'logo.svg'),
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><title>Old</title><path fill="#123456" d="M0 0h10v10H0z"/></svg>');
+        await fs.writeFile(path.join(brandDir, 'meta.json'),
+            JSON.stringify({ brand: { name: 'Acme', colors: { primary: '#1e40af', light: '#ffffff' } } }));
+
+        const result = await buildAssets({
+            rootDir,
+            config: {
+                sourceDir: '_source',
+                outputDir: 'site/v1',
+                brands: { acme: { logos: { formats: ['original'], deriveVariants: ['on-brand'] } } },
+            },
+        });
+        assert.ok(result.ok, result.errors.join('\n'));
+
+        const svg = await fs.readFile(path.join(rootDir, 'site', 'v1', 'brands', 'acme', 'logos', 'logo-on-brand.svg'), 'utf-8');
+        assert.equal(svg.match(/<title\b/g).length, 1);
+        assert.doesNotMatch(svg, />Old</);
+    } finally {
+        await fs.rm(rootDir, { recursive: true, force: true });
+    }
+});
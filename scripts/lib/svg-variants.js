@@ -0,0 +1,118 @@
+/**
+ * Derived SVG Variants
+ *
+ * Builds logo variants (mono, knockout, on-dark, ...) from a primary SVG by
+ * recolouring fills/strokes and compositing onto a solid background. Colours
+ * are recoloured as hex or rgb(); the generator derives from an SVGO pass
+ * that converts colour names to hex (see deriveVariantSources in build.js).
+ */
+
+const DEFAULT_COLORS = {
+    dark: '#000000',
+    light: '#ffffff',
+};
+
+// Share of the shorter side added around the logo for background variants
+const BACKGROUND_PADDING = 0.1;
+
+/**
+ * Supported variants, keyed by file-name suffix (see `variants.types` in
+ * assets.config.json). `recolor` is a colour or 'invert'; `background` is the
+ * solid canvas colour.
+ */
+export const DERIVED_VARIANTS = {
+    'mono': { recolor: colors => colors.primary || colors.dark },
+    'mono-dark': { recolor: colors => colors.light },
+    'mono-light': { recolor: colors => colors.dark },
+    'knockout': { recolor: () => 'invert' },
+    'on-dark': { background: colors => colors.dark },
+    'on-light': { background: colors => colors.light },
+    'on-brand': { recolor: colors => colors.light, background: colors => colors.primary },
+};
+
+const COLOR_PROPERTIES = ['fill', 'stroke', 'stop-color', 'flood-color', 'lighting-color', 'color'];
+const ATTR_PATTERN = new RegExp(`\\b(${COLOR_PROPERTIES.join('|')})=(["'])(.*?)\\2`, 'g');
+const STYLE_PATTERN = new RegExp(`\\b(${COLOR_PROPERTIES.join('|')})(\\s*:\\s*)([^;"'}]+)`, 'g');
+const KEEP_VALUES = /^(none|transparent|currentcolor|inherit|url\(.*\))$/i;
+
+/**
+ * @param {string} svg - Optimized primary SVG markup
+ * @param {string} variant - Key of DERIVED_VARIANTS
+ * @param {{primary?: string, dark?: string, light?: string}} [brandColors]
+ * @returns {string} Variant SVG markup
+ * @throws {Error} When the variant is unknown or needs a colour that isn't defined
+ */
+export function deriveSvgVariant(svg, variant, brandColors = {}) {
+    const definition = DERIVED_VARIANTS[variant];
+    if (!definition) {
+        throw new Error(`Unknown derived variant: "${variant}"`);
+    }
+
+    const colors = { ...DEFAULT_COLORS, ...brandColors };
+    let result = svg;
+
+    if (definition.recolor) {
+        const target = definition.recolor(colors);
+        if (!target) throw new Error(`Variant "${variant}" needs a brand color`);
+        result = recolorSvg(result, target === 'invert' ? invertColor : () => target);
+    }
+
+    if (definition.background) {
+        const background = definition.background(colors);
+        if (!background) throw new Error(`Variant "${variant}" needs a brand primary color`);
+        result = addBackground(result, background);
+    }
+
+    return result;
+}
+
+function recolorSvg(svg, mapColor) {
+    const replaceValue = value => KEEP_VALUES.test(value.trim()) ? value : mapColor(value.trim());
+
+    let result = svg
+        .replace(ATTR_PATTERN, (match, name, quote, value) => `${name}=${quote}${replaceValue(value)}${quote}`)
+        .replace(STYLE_PATTERN, (match, name, separator, value) => `${name}${separator}${replaceValue(value)}`);
+
+    // Shapes without an explicit fill inherit black from the root element
+    const rootTag = result.match(/<svg\b[^>]*>/)?.[0];
+    if (rootTag && !/\sfill=/.test(rootTag)) {
+        result = result.replace(rootTag, rootTag.replace(/^<svg/, `<svg fill="${mapColor('#000000')}"`));
+    }
+    return result;
+}
+
+function parseColor(value) {
+    const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i)?.[1];
+    if (hex) {
+        const full = hex.length === 3 ? hex.replace(/./g, c => c + c) : hex;
+        return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16));
+    }
+    const rgb = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+    return rgb ? rgb.slice(1, 4).map(Number) : null;
+}
+
+function invertColor(value) {
+    const rgb = parseColor(value);
+    if (!rgb) return value;
+    return '#' + rgb.map(c => (255 - c).toString(16).padStart(2, '0')).join('');
+}
+
+function addBackground(svg, color) {
+    const rootTag = svg.match(/<svg\b[^>]*>/)?.[0];
+    if (!rootTag) throw new Error('Not an SVG document');
+
+    const viewBox = rootTag.match(/\sviewBox=(["'])(.*?)\1/)?.[2].trim().split(/[\s,]+/).map(Number);
+    const [x, y, width, height] = viewBox?.length === 4
+        ? viewBox
+        : [0, 0, parseFloat(rootTag.match(/\swidth=(["'])(.*?)\1/)?.[2]), parseFloat(rootTag.match(/\sheight=(["'])(.*?)\1/)?.[2])];
+    if (!width || !height) throw new Error('SVG has no viewBox or dimensions');
+
+    const pad = Math.min(width, height) * BACKGROUND_PADDING;
+    const box = [x - pad, y - pad, width + 2 * pad, height + 2 * pad].map(n => +n.toFixed(3));
+    const newRoot = rootTag
+        .replace(/\s(viewBox|width|height)=(["']).*?\2/g, '')
+        .replace(/^<svg/, `<svg viewBox="${box.join(' ')}"`);
+    const rect = `<rect x="${box[0]}" y="${box[1]}" width="${box[2]}" height="${box[3]}" fill="${color}"/>`;
+
+    return svg.replace(rootTag, newRoot + rect);
+}
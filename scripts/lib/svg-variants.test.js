@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { deriveSvgVariant } from './svg-variants.js';
+import { buildAssets } from './build.js';
+
+const LOGO = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 50">'
+    + '<path fill="#1e40af" d="M0 0h10v10H0z"/>'
+    + '<path style="stroke:#ff0000;fill:none" d="M0 0h5"/>'
+    + '<path fill="url(#g)" d="M0 0h1"/>'
+    + '</svg>';
+
+test('recolours fills, strokes and inline styles to a single colour', () => {
+    const svg = deriveSvgVariant(LOGO, 'mono', { primary: '#123456' });
+    assert.match(svg, /<path fill="#123456"/);
+    assert.match(svg, /stroke:#123456;fill:none/);
+});
+
+test('keeps none, currentColor and paint server references', () => {
+    const svg = deriveSvgVariant(LOGO, 'mono-light');
+    assert.match(svg, /fill:none/);
+    assert.match(svg, /fill="url\(#g\)"/);
+});
+
+test('gives the root a fill so unfilled shapes follow the variant colour', () => {
+    const svg = deriveSvgVariant('<svg viewBox="0 0 10 10"><path d="M0 0h1"/></svg>', 'mono-dark');
+    assert.match(svg, /^<svg fill="#ffffff" viewBox/);
+});
+
+test('inverts colours for knockout', () => {
+    const svg = deriveSvgVariant('<svg viewBox="0 0 10 10"><path fill="#f00" d="M0 0h1"/><path fill="rgb(0, 255, 0)" d="M0 0h1"/></svg>', 'knockout');
+    assert.match(svg, /fill="#00ffff"/);
+    assert.match(svg, /fill="#ff00ff"/);
+});
+
+test('puts background variants on a padded rectangle', () => {
+    const svg = deriveSvgVariant(LOGO, 'on-dark', { dark: '#111111' });
+    assert.match(svg, /^<svg viewBox="-5 -5 110 60"/);
+    assert.match(svg, /<rect x="-5" y="-5" width="110" height="60" fill="#111111"\/>/);
+    // Colours of the logo itself are kept
+    assert.match(svg, /fill="#1e40af"/);
+});
+
+test('falls back to width and height without a viewBox', () => {
+    const svg = deriveSvgVariant('<svg width="20" height="10"><path d="M0 0h1"/></svg>', 'on-light');
+    assert.match(svg, /^<svg viewBox="-1 -1 22 12"/);
+    assert.doesNotMatch(svg, /\swidth="20"/);
+});
+
+test('rejects unknown variants and missing brand colours', () => {
+    assert.throws(() => deriveSvgVariant(LOGO, 'sepia'), /Unknown derived variant: "sepia"/);
+    assert.throws(() => deriveSvgVariant(LOGO, 'on-brand'), /needs a brand primary color/);
+});
+
+test('build derives from hex colours, also for named colours in the source', async () => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'svg-variants-'));
+    try {
+        const logosDir = path.join(rootDir, '_source', 'brands', 'acme', 'logos');
+        await fs.mkdir(logosDir, { recursive: true });
+        await fs.writeFile(path.join(logosDir, 'logo.svg'), '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10">'
+            + '<path fill="red" d="M0 0h5v5H0z"/><path stroke="#ff0000" d="M5 5h5"/><path fill="#00f" d="M0 5h5v5H0z"/></svg>');
+
+        const result = await buildAssets({
+            rootDir,
+            config: {
+                sourceDir: '_source',
+                outputDir: 'site/v1',
+                brands: { acme: { logos: { formats: ['original'], deriveVariants: ['knockout'] } } },
+            },
+        });
+        assert.ok(result.ok, result.errors.join('\n'));
+
+        const svg = await fs.readFile(path.join(rootDir, '.cache', 'derived', 'v1', 'acme', 'logos', 'logo-knockout.svg'), 'utf-8');
+        assert.match(svg, /fill="#00ffff"/);
+        assert.match(svg, /stroke="#00ffff"/);
+        assert.match(svg, /fill="#ffff00"/);
+        assert.doesNotMatch(svg, /red/);
+    } finally {
+        await fs.rm(rootDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,178 @@
+/**
+ * Brand Design Tokens
+ *
+ * Resolves the `tokens` section of a brand's meta.json and renders it as CSS
+ * custom properties, SCSS variables, JSON and a Tailwind preset:
+ *
+ *   "tokens": {
+ *       "palette": { "blue": { "500": "#3b82f6", "700": "#1e40af" }, "white": "#ffffff" },
+ *       "colors": { "primary": "{blue.700}", "light": "{white}", "accent": "#f59e0b" },
+ *       "fonts": { "heading": ["Inter", "system-ui", "sans-serif"] }
+ *   }
+ *
+ * Semantic `colors` are either CSS colours or `{path.in.palette}` references.
+ */
+
+// Generated files, in the order they are written
+export const TOKEN_FILES = ['tokens.css', 'tokens.scss', 'tokens.json', 'tailwind.preset.js'];
+
+const COLOR_PATTERN = /^(#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|(rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\(.+\))$/i;
+const REFERENCE_PATTERN = /^\{([\w.-]+)\}$/;
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/i;
+const GENERIC_FAMILIES = new Set([
+    'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'emoji', 'math', 'fangsong',
+    'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded',
+]);
+
+function checkName(name, label) {
+    if (!NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid token name "${name}" in ${label} (use letters, digits and dashes)`);
+    }
+}
+
+function checkColor(value, label) {
+    if (typeof value !== 'string' || !COLOR_PATTERN.test(value.trim())) {
+        throw new Error(`Invalid color for ${label}: ${JSON.stringify(value)} (use hex or a CSS color function)`);
+    }
+    return value.trim();
+}
+
+/**
+ * Palette entries flattened to dashed names: { blue: { 500: x } } -> [["blue-500", x]]
+ */
+function flattenPalette(palette, prefix = '', label = 'tokens.palette') {
+    return Object.entries(palette).flatMap(([name, value]) => {
+        checkName(name, label);
+        const key = prefix ? `${prefix}-${name}` : name;
+        return value && typeof value === 'object'
+            ? flattenPalette(value, key, `${label}.${name}`)
+            : [[key, checkColor(value, `${label}.${name}`)]];
+    });
+}
+
+function toFontStack(value, name) {
+    const families = Array.isArray(value) ? value : String(value ?? '').split(',');
+    const stack = families.map(family => String(family).trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+    if (stack.length === 0) throw new Error(`Font "${name}" in tokens.fonts has no families`);
+    return stack;
+}
+
+/**
+ * @param {{palette?: object, colors?: object, fonts?: object}} tokens - `tokens` from meta.json
+ * @returns {{palette: Object<string, string>, colors: Object<string, string>, fonts: Object<string, string[]>}}
+ *   Flat palette, semantic colours with references resolved, and font stacks
+ * @throws {Error} When a colour, name or reference is invalid
+ */
+export function resolveTokens(tokens) {
+    if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+        throw new Error('tokens must be an object');
+    }
+
+    const palette = Object.fromEntries(flattenPalette(tokens.palette || {}));
+
+    const colors = {};
+    for (const [name, value] of Object.entries(tokens.colors || {})) {
+        checkName(name, 'tokens.colors');
+        const reference = typeof value === 'string' ? value.trim().match(REFERENCE_PATTERN) : null;
+        if (reference) {
+            const key = reference[1].replaceAll('.', '-');
+            if (!(key in palette)) throw new Error(`tokens.colors.${name} references unknown palette color "${reference[1]}"`);
+            colors[name] = palette[key];
+        } else {
+            colors[name] = checkColor(value, `tokens.colors.${name}`);
+        }
+    }
+
+    const fonts = {};
+    for (const [name, value] of Object.entries(tokens.fonts || {})) {
+        checkName(name, 'tokens.fonts');
+        fonts[name] = toFontStack(value, name);
+    }
+
+    return { palette, colors, fonts };
+}
+
+function toCssFontStack(stack) {
+    return stack.map(family => GENERIC_FAMILIES.has(family) ? family : `"${family}"`).join(', ');
+}
+
+/**
+ * Nest flat palette names again for Tailwind ("blue-500" -> blue: { 500 }).
+ * Names that are both a colour and a group keep the colour as DEFAULT.
+ */
+function nestPalette(palette) {
+    const nested = {};
+    for (const [key, value] of Object.entries(palette)) {
+        const parts = key.split('-');
+        let node = nested;
+        for (const part of parts.slice(0, -1)) {
+            if (typeof node[part] === 'string') node[part] = { DEFAULT: node[part] };
+            node = node[part] ??= {};
+        }
+        const last = parts.at(-1);
+        if (node[last] && typeof node[last] === 'object') node[last].DEFAULT = value;
+        else node[last] = value;
+    }
+    return nested;
+}
+
+/**
+ * @param {ReturnType<typeof resolveTokens>} tokens
+ * @param {{id: string, name: string}} brand
+ * @param {string} source - Path of the meta.json the tokens come from, named in the file headers
+ * @returns {Object<string, string>} File contents keyed by TOKEN_FILES name
+ */
+export function renderTokenFiles({ palette, colors, fonts }, brand, source) {
+    const header = `Design tokens for ${brand.name}. Generated from ${source}, do not edit.`;
+    const variables = [
+        ...Object.entries(palette).map(([name, value]) => [`palette-${name}`, value]),
+        ...Object.entries(colors).map(([name, value]) => [`color-${name}`, value]),
+    ];
+    const fontVariables = Object.entries(fonts).map(([name, stack]) => [`font-${name}`, toCssFontStack(stack)]);
+
+    const css = [
+        `/* ${header} */`,
+        ':root {',
+        ...[...variables, ...fontVariables].map(([name, value]) => `    --${name}: ${value};`),
+        '}',
+        '',
+    ].join('\n');
+
+    const scssMap = (name, entries) => entries.length === 0 ? [] : [
+        '',
+        `$${name}: (`,
+        ...entries.map(([key, value], i) => `    "${key}": ${value}${i < entries.length - 1 ? ',' : ''}`),
+        ');',
+    ];
+    const scss = [
+        `// ${header}`,
+        '',
+        ...[...variables, ...fontVariables].map(([name, value]) => `$${name}: ${value};`),
+        ...scssMap('palette', Object.keys(palette).map(name => [name, `$palette-${name}`])),
+        ...scssMap('colors', Object.keys(colors).map(name => [name, `$color-${name}`])),
+        '',
+    ].join('\n');
+
+    const json = JSON.stringify({ brand: brand.id, palette, colors, fonts }, null, 2);
+
+    const preset = {
+        theme: {
+            extend: {
+                colors: { ...nestPalette(palette), ...colors },
+                fontFamily: fonts,
+            },
+        },
+    };
+    const tailwind = [
+        `/** ${header} */`,
+        `export default ${JSON.stringify(preset, null, 4)};`,
+        '',
+    ].join('\n');
+
+    return {
+        'tokens.css': css,
+        'tokens.scss': scss,
+        'tokens.json': json,
+        'tailwind.preset.js': tailwind,
+    };
+}
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveTokens, renderTokenFiles, TOKEN_FILES } from './tokens.js';
+
+const tokens = {
+    palette: { blue: { 500: '#3b82f6', 700: '#1e40af' }, white: '#ffffff' },
+    colors: { primary: '{blue.700}', accent: '#f59e0b' },
+    fonts: { heading: ['Inter', 'system-ui', 'sans-serif'] },
+};
+const brand = { id: 'acme', name: 'Acme' };
+
+test('flattens the palette and resolves colour references', () => {
+    const { palette, colors } = resolveTokens(tokens);
+    assert.deepEqual(palette, { 'blue-500': '#3b82f6', 'blue-700': '#1e40af', white: '#ffffff' });
+    assert.deepEqual(colors, { primary: '#1e40af', accent: '#f59e0b' });
+});
+
+test('rejects invalid colours', () => {
+    assert.throws(() => resolveTokens({ palette: { red: 'not-a-color' } }), /Invalid color/);
+});
+
+test('renders every token file', () => {
+    const files = renderTokenFiles(resolveTokens(tokens), brand, 'src/brands/acme/meta.json');
+    assert.deepEqual(Object.keys(files), TOKEN_FILES);
+    assert.match(files['tokens.css'], /--color-primary: #1e40af;/);
+    assert.equal(JSON.parse(files['tokens.json']).brand, 'acme');
+});
+
+test('names the given source in generated headers', () => {
+    const files = renderTokenFiles(resolveTokens(tokens), brand, 'src/brands/acme/meta.json');
+    for (const file of ['tokens.css', 'tokens.scss', 'tailwind.preset.js']) {
+        assert.match(files[file], /Generated from src\/brands\/acme\/meta\.json, do not edit\./, file);
+        assert.doesNotMatch(files[file], /_source/, file);
+    }
+});
@@ -0,0 +1,52 @@
+/**
+ * Unicode Ranges
+ *
+ * Parses CSS `unicode-range` lists ("U+0000-00FF, U+20AC") into the text
+ * subset-font keeps when shared fonts are subset to WOFF2.
+ */
+
+// Latin subset used when `shared.fonts.unicodeRange` is not set
+export const DEFAULT_UNICODE_RANGE = 'U+0000-00FF, U+0131, U+0152-0153, U+02BB-02BC, U+02C6, U+02DA, U+02DC, U+0304, U+0308, U+0329, U+2000-206F, U+20AC, U+2122, U+2191, U+2193, U+2212, U+2215, U+FEFF, U+FFFD';
+
+const RANGE_PATTERN = /^U\+(?:([0-9a-f]{1,6})(?:-([0-9a-f]{1,6}))?|([0-9a-f]{0,5}\?{1,6}))$/i;
+const MAX_CODE_POINT = 0x10ffff;
+const SURROGATES = { start: 0xd800, end: 0xdfff };
+// Code points per String.fromCodePoint() call, well below the argument limit
+const CHUNK_SIZE = 8192;
+
+/**
+ * Characters covered by a CSS `unicode-range` list ("U+0000-00FF, U+20AC",
+ * "U+4??" for U+0400-04FF). Surrogates (U+D800-DFFF) are not characters and
+ * are left out.
+ */
+export function unicodeRangeToText(unicodeRange) {
+    const chunks = [];
+    let codePoints = [];
+    for (const part of unicodeRange.split(',')) {
+        const [start, end] = parseRange(part.trim());
+        for (let codePoint = start; codePoint <= end; codePoint++) {
+            if (codePoint >= SURROGATES.start && codePoint <= SURROGATES.end) continue;
+            codePoints.push(codePoint);
+            if (codePoints.length === CHUNK_SIZE) {
+                chunks.push(String.fromCodePoint(...codePoints));
+                codePoints = [];
+            }
+        }
+    }
+    chunks.push(String.fromCodePoint(...codePoints));
+    return chunks.join('');
+}
+
+function parseRange(range) {
+    const match = range.match(RANGE_PATTERN);
+    if (!match || (match[3] && match[3].length > 6)) throw new Error(`Invalid unicode range: "${range}"`);
+
+    // Wildcards: "U+4??" is U+0400-04FF
+    const [start, end] = match[3]
+        ? [parseInt(match[3].replace(/\?/g, '0'), 16), parseInt(match[3].replace(/\?/g, 'f'), 16)]
+        : [parseInt(match[1], 16), parseInt(match[2] ?? match[1], 16)];
+    if (start > end || end > MAX_CODE_POINT) {
+        throw new Error(`Invalid unicode range: "${range}" (use ascending code points up to U+10FFFF)`);
+    }
+    return [start, end];
+}
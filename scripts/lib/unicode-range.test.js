@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { unicodeRangeToText, DEFAULT_UNICODE_RANGE } from './unicode-range.js';
+
+test('expands single code points and ranges', () => {
+    assert.equal(unicodeRangeToText('U+0041-0043, U+20AC'), 'ABC€');
+});
+
+test('accepts lowercase hex and surrounding whitespace', () => {
+    assert.equal(unicodeRangeToText('  u+0061-0062 ,U+1F600 '), 'ab😀');
+});
+
+test('rejects malformed entries', () => {
+    assert.throws(() => unicodeRangeToText('U+0041, 0042'), /Invalid unicode range: "0042"/);
+    assert.throws(() => unicodeRangeToText('U+0?4'), /Invalid unicode range: "U\+0\?4"/);
+    assert.throws(() => unicodeRangeToText('U+4?-5??'), /Invalid unicode range/);
+    assert.throws(() => unicodeRangeToText('U+???????'), /Invalid unicode range/);
+});
+
+test('rejects descending ranges and code points beyond U+10FFFF', () => {
+    assert.throws(() => unicodeRangeToText('U+0050-0041'), /ascending code points/);
+    assert.throws(() => unicodeRangeToText('U+0000-110000'), /up to U\+10FFFF/);
+});
+
+test('expands wildcard ranges', () => {
+    assert.equal(unicodeRangeToText('U+4?'), unicodeRangeToText('U+0040-004F'));
+    assert.equal(unicodeRangeToText('U+00??'), unicodeRangeToText('U+0000-00FF'));
+});
+
+test('covers the full code space without surrogates', () => {
+    const text = unicodeRangeToText('U+0000-10FFFF');
+    assert.equal([...text].length, 0x110000 - 0x800);
+    assert.ok(text.isWellFormed());
+    assert.equal(text.codePointAt(text.length - 2), 0x10ffff);
+    assert.equal(unicodeRangeToText('U+D7FF-E000'), '\ud7ff\ue000');
+});
+
+test('default range covers Basic Latin and the euro sign', () => {
+    const text = unicodeRangeToText(DEFAULT_UNICODE_RANGE);
+    for (const char of 'AZaz09€™') assert.ok(text.includes(char), char);
+    assert.ok(!text.includes('Ā'));
+});
@@ -0,0 +1,492 @@
+/**
+ * Asset Validation Script
+ * Validates source assets before building
+ * 
+ * Checks:
+ * - Source formats the generator can build (see lib/formats.js)
+ * - File naming conventions (kebab-case)
+ * - Minimum resolution for raster images
+ * - Required files exist
+ * - Config entries have corresponding source directories
+ * - Size preset references resolve
+ * - Derived variants have a primary SVG and the colors they need
+ * - Encoder overrides (config and meta.json) use known formats and options
+ * - Poster frames of animated assets (meta.json) are frame indexes
+ * - Focal points and crops (meta.json) have valid coordinates and aspect ratios
+ * - Copyright and licence metadata (meta.json) are strings
+ * - Design tokens in meta.json have valid colors, names and palette references
+ * - CDN providers have valid ids, URL templates and ref
+ * - Size budgets have valid filters and byte sizes
+ * - Version namespaces resolve (each version is validated like the main config)
+ * - Orphaned source directories (not in config)
+ * 
+ * Exposed through the Node API (scripts/api.js) as validateAssets();
+ * `static-assets validate` (scripts/cli.js) is the CLI on top of it.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { resolveSizes } from './presets.js';
+import { resolveCrops } from './crops.js';
+import { getImageFormat, getUnsupportedReason } from './formats.js';
+import { DERIVED_VARIANTS } from './svg-variants.js';
+import { ENCODING_OPTIONS } from './encoding.js';
+import { resolveTokens } from './tokens.js';
+import { resolveVersions } from './versions.js';
+import { resolveCdn } from './cdn.js';
+import { resolveBudgets } from './report.js';
+import { createPool } from './pool.js';
+import { getFiles } from './files.js';
+import { loadConfig, DEFAULT_ROOT_DIR, DEFAULT_CONFIG_FILE } from './config.js';
+
+// State of the current run, reset by validateAssets()
+let rootDir = null;
+let emit = () => {};
+let issues = { errors: [], warnings: [] };
+
+// One run at a time
+const runs = createPool(1);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Configuration
+// ─────────────────────────────────────────────────────────────────────────────
+
+const VALIDATION_RULES = {
+    // Minimum resolution for raster source images
+    minResolution: {
+        logos: 512,
+        icons: 128,
+        images: 256
+    },
+    // Required files per asset type (regex patterns)
+    requiredFiles: {
+        logos: [/^logo\.(svg|png)$/],
+        icons: [/^icon\.(svg|png)$/]
+    },
+    // Naming pattern (kebab-case with optional variant suffixes)
+    namingPattern: /^[a-z][a-z0-9]*(-[a-z0-9]+)*$/,
+    // Minimum resolution for favicon bundle sources (largest app icon)
+    minFaviconResolution: 512
+};
+
+// Brand config keys that are options rather than asset type directories
+const BRAND_OPTION_KEYS = new Set(['favicon']);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Utilities
+// ─────────────────────────────────────────────────────────────────────────────
+
+function addIssue(level, message, file) {
+    const issue = { message, file: file ? path.relative(rootDir, file) : null };
+    issues[level === 'error' ? 'errors' : 'warnings'].push(issue);
+    emit({ level, ...issue });
+}
+
+function addError(message, file = null) {
+    addIssue('error', message, file);
+}
+
+function addWarning(message, file = null) {
+    addIssue('warn', message, file);
+}
+
+async function getImageMetadata(filePath) {
+    try {
+        return await sharp(filePath).metadata();
+    } catch {
+        return null;
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Validators
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Report sources the generator can't build. Returns whether the file is
+ * supported.
+ */
+function validateFormat(filePath) {
+    const reason = getUnsupportedReason(filePath);
+    if (reason) addWarning(reason, filePath);
+    return !reason;
+}
+
+async function validateNaming(filePath) {
+    const filename = path.basename(filePath);
+    const basename = path.basename(filename, path.extname(filename));
+
+    // Check naming convention
+    if (!VALIDATION_RULES.namingPattern.test(basename)) {
+        addError(`Invalid filename (use kebab-case): ${filename}`, filePath);
+    }
+}
+
+async function validateResolution(filePath, assetType) {
+    // Skip SVGs
+    if (getImageFormat(filePath).kind === 'vector') return;
+
+    const metadata = await getImageMetadata(filePath);
+    if (!metadata) {
+        addError(`Could not read image metadata`, filePath);
+        return;
+    }
+
+    const minRes = VALIDATION_RULES.minResolution[assetType] || 256;
+    const actualRes = Math.min(metadata.width, metadata.height);
+
+    if (actualRes < minRes) {
+        addWarning(
+            `Low resolution (${metadata.width}×${metadata.height}), recommended minimum: ${minRes}×${minRes}`,
+            filePath
+        );
+    }
+}
+
+async function validateRequiredFiles(brandDir, assetType) {
+    const patterns = VALIDATION_RULES.requiredFiles[assetType];
+    if (!patterns) return;
+
+    const typeDir = path.join(brandDir, assetType);
+
+    try {
+        const files = await getFiles(typeDir);
+
+        for (const pattern of patterns) {
+            const hasMatch = files.some(f => pattern.test(path.basename(f)));
+            if (!hasMatch) {
+                addWarning(
+                    `Missing recommended file matching ${pattern}`,
+                    typeDir
+                );
+            }
+        }
+    } catch {
+        // Directory doesn't exist, handled elsewhere
+    }
+}
+
+async function validateFavicon(brandDir, faviconConfig) {
+    if (!faviconConfig || typeof faviconConfig !== 'object' || !faviconConfig.source) return;
+
+    const sourcePath = path.join(brandDir, faviconConfig.source);
+    try {
+        await fs.access(sourcePath);
+    } catch {
+        addError(`Favicon source not found: ${faviconConfig.source}`, sourcePath);
+        return;
+    }
+
+    if (path.extname(sourcePath).toLowerCase() === '.svg') return;
+
+    const metadata = await getImageMetadata(sourcePath);
+    const minRes = VALIDATION_RULES.minFaviconResolution;
+    if (metadata && Math.min(metadata.width, metadata.height) < minRes) {
+        addWarning(
+            `Low resolution favicon source (${metadata.width}×${metadata.height}), recommended minimum: ${minRes}×${minRes}`,
+            sourcePath
+        );
+    }
+}
+
+function validatePresets(config) {
+    const presets = config.presets || {};
+
+    for (const presetName of Object.keys(presets)) {
+        try {
+            resolveSizes(presetName, presets);
+        } catch (err) {
+            addError(`Invalid preset "${presetName}": ${err.message}`);
+        }
+    }
+
+    try {
+        resolveSizes(config.defaults?.sizes, presets);
+    } catch (err) {
+        addError(`Invalid default sizes: ${err.message}`);
+    }
+}
+
+function validateCdn(config) {
+    try {
+        resolveCdn(config);
+    } catch (err) {
+        addError(`Invalid CDN config: ${err.message}`);
+    }
+}
+
+function validateBudgets(config) {
+    try {
+        resolveBudgets(config.budgets);
+    } catch (err) {
+        addError(`Invalid budgets: ${err.message}`);
+    }
+}
+
+function validateSizes(brandId, assetType, assetConfig, config) {
+    try {
+        const sizes = resolveSizes(assetConfig.sizes ?? config.defaults?.sizes, config.presets);
+        if (assetConfig.sizes !== undefined && sizes.length === 0) {
+            addWarning(`Sizes for ${brandId}/${assetType} resolve to an empty list`);
+        }
+    } catch (err) {
+        addError(`Invalid sizes for ${brandId}/${assetType}: ${err.message}`);
+    }
+}
+
+async function validateDerivedVariants(brandDir, assetType, assetConfig) {
+    const variants = assetConfig.deriveVariants || [];
+    if (variants.length === 0) return;
+
+    for (const variant of variants) {
+        if (!DERIVED_VARIANTS[variant]) {
+            addError(`Unknown derived variant "${variant}" (supported: ${Object.keys(DERIVED_VARIANTS).join(', ')})`);
+        }
+    }
+
+    const from = assetConfig.deriveFrom || 'logo';
+    const primaryPath = path.join(brandDir, assetType, `${from}.svg`);
+    try {
+        await fs.access(primaryPath);
+    } catch {
+        addError(`Derived variants need a primary SVG: ${from}.svg`, primaryPath);
+    }
+
+    if (variants.includes('on-brand')) {
+        const metaPath = path.join(brandDir, 'meta.json');
+        let meta;
+        try {
+            meta = JSON.parse(await fs.readFile(metaPath, 'utf-8'));
+        } catch {
+            // Missing meta.json is reported below
+        }
+        let tokenColors;
+        try {
+            tokenColors = meta?.tokens ? resolveTokens(meta.tokens).colors : undefined;
+        } catch {
+            // Invalid tokens are reported by validateTokens()
+        }
+        if (!meta?.brand?.colors?.primary && !tokenColors?.primary) {
+            addWarning(`Derived variant "on-brand" needs brand.colors.primary or tokens.colors.primary in meta.json`, metaPath);
+        }
+    }
+}
+
+function validateEncoding(label, encoding, file = null) {
+    for (const [format, options] of Object.entries(encoding || {})) {
+        const supported = ENCODING_OPTIONS[format === 'jpeg' ? 'jpg' : format];
+        if (!supported) {
+            addError(`Unknown encoding format "${format}" for ${label} (supported: ${Object.keys(ENCODING_OPTIONS).join(', ')})`, file);
+            continue;
+        }
+        for (const option of Object.keys(options || {})) {
+            if (!supported.includes(option)) {
+                addError(`Unknown ${format} encoding option "${option}" for ${label} (supported: ${supported.join(', ')})`, file);
+            }
+        }
+    }
+}
+
+// `copyright` and `license` end up in the <metadata> of optimized SVGs
+function validateRights(label, entry, metaPath) {
+    for (const key of ['copyright', 'license']) {
+        const value = entry?.[key];
+        if (value !== undefined && typeof value !== 'string') {
+            addError(`Invalid ${key} for ${label}: ${JSON.stringify(value)} (use a string)`, metaPath);
+        }
+    }
+}
+
+async function validateAssetMeta(brandId, brandDir) {
+    const metaPath = path.join(brandDir, 'meta.json');
+    let meta;
+    try {
+        meta = JSON.parse(await fs.readFile(metaPath, 'utf-8'));
+    } catch {
+        return;
+    }
+    validateRights(brandId, meta.brand, metaPath);
+    for (const [assetType, assets] of Object.entries(meta.assets || {})) {
+        for (const [assetId, assetMeta] of Object.entries(assets || {})) {
+            validateEncoding(`${brandId}/${assetType}/${assetId}`, assetMeta?.encoding, metaPath);
+            validateRights(`${brandId}/${assetType}/${assetId}`, assetMeta, metaPath);
+            const posterFrame = assetMeta?.posterFrame;
+            if (posterFrame !== undefined && !(Number.isInteger(posterFrame) && posterFrame >= 0)) {
+                addError(`Invalid posterFrame for ${brandId}/${assetType}/${assetId}: ${JSON.stringify(posterFrame)} (use a frame index from 0)`, metaPath);
+            }
+            try {
+                resolveCrops(assetMeta ?? {});
+            } catch (err) {
+                addError(`Invalid crops for ${brandId}/${assetType}/${assetId}: ${err.message}`, metaPath);
+            }
+        }
+    }
+}
+
+async function validateTokens(brandDir) {
+    const metaPath = path.join(brandDir, 'meta.json');
+    let meta;
+    try {
+        meta = JSON.parse(await fs.readFile(metaPath, 'utf-8'));
+    } catch {
+        return;
+    }
+    if (meta.tokens === undefined) return;
+
+    try {
+        resolveTokens(meta.tokens);
+    } catch (err) {
+        addError(`Invalid design tokens: ${err.message}`, metaPath);
+    }
+}
+
+async function validateBrandDirectory(brandId, brandConfig, config) {
+    const sourceDir = path.join(rootDir, config.sourceDir);
+    const brandDir = path.join(sourceDir, 'brands', brandId);
+
+    // Check if source directory exists
+    try {
+        await fs.access(brandDir);
+    } catch {
+        addError(`Brand directory not found: ${brandId}`, brandDir);
+        return;
+    }
+
+    await validateFavicon(brandDir, brandConfig.favicon);
+    await validateAssetMeta(brandId, brandDir);
+    await validateTokens(brandDir);
+
+    // Get configured asset types
+    const configuredTypes = Object.keys(brandConfig).filter(key => !BRAND_OPTION_KEYS.has(key));
+
+    for (const assetType of configuredTypes) {
+        validateSizes(brandId, assetType, brandConfig[assetType], config);
+        validateEncoding(`${brandId}/${assetType}`, brandConfig[assetType].encoding);
+        await validateDerivedVariants(brandDir, assetType, brandConfig[assetType]);
+
+        const typeDir = path.join(brandDir, assetType);
+
+        try {
+            // Same files as the generator: subdirectories included, dotfiles skipped
+            const files = (await getFiles(typeDir)).filter(file => !path.basename(file).startsWith('.'));
+
+            if (files.length === 0) {
+                addWarning(`Empty directory`, typeDir);
+                continue;
+            }
+
+            // Validate each file
+            for (const filePath of files) {
+                if (!validateFormat(filePath)) continue;
+
+                await validateNaming(filePath);
+                await validateResolution(filePath, assetType);
+            }
+
+            // Check required files
+            await validateRequiredFiles(brandDir, assetType);
+
+        } catch {
+            addWarning(`Directory not found: ${assetType}`, typeDir);
+        }
+    }
+}
+
+/**
+ * @param {string} sourceDir - Source directory (relative to the repo root)
+ * @param {Set<string>} brandIds - Brands configured for it by any version
+ */
+async function checkOrphanedDirectories(sourceDir, brandIds) {
+    const brandsDir = path.join(rootDir, sourceDir, 'brands');
+
+    try {
+        const dirs = await fs.readdir(brandsDir, { withFileTypes: true });
+
+        for (const dir of dirs) {
+            if (!dir.isDirectory()) continue;
+
+            if (!brandIds.has(dir.name)) {
+                addWarning(
+                    `Orphaned brand directory (not in config)`,
+                    path.join(brandsDir, dir.name)
+                );
+            }
+        }
+    } catch {
+        // Brands directory doesn't exist
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Validate source assets and config of every version namespace.
+ *
+ * @param {object} [options]
+ * @param {string} [options.rootDir] - Directory config and source paths are relative to (default: the repository root)
+ * @param {string|object} [options.config] - Config file path relative to rootDir, or a config object (default: assets.config.json)
+ * @param {string} [options.sourceDir] - Overrides the config's sourceDir
+ * @param {string} [options.outputDir] - Overrides the config's outputDir
+ * @param {string[]} [options.brands] - Only validate these brands (skips the orphaned directory check)
+ * @param {(event: {level: string, message: string, file?: string|null}) => void} [options.onEvent]
+ *   Receives progress (info) and each warning or error as it is found
+ * @returns {Promise<{ok: boolean, errors: Array<{message: string, file: string|null}>, warnings: Array<{message: string, file: string|null}>}>}
+ *   `ok` is false when there are errors; file paths are relative to rootDir
+ */
+export function validateAssets(options = {}) {
+    return runs.run(async () => {
+        emit = options.onEvent || (() => {});
+        issues = { errors: [], warnings: [] };
+        const brands = options.brands?.length > 0 ? options.brands : null;
+
+        rootDir = path.resolve(options.rootDir || DEFAULT_ROOT_DIR);
+
+        let versions = [];
+        try {
+            const { config } = await loadConfig({ ...options, rootDir });
+            ({ versions } = await resolveVersions(config, rootDir));
+        } catch (err) {
+            const configFile = typeof options.config === 'object' ? null : options.config || DEFAULT_CONFIG_FILE;
+            addError(err.message, configFile && path.resolve(rootDir, configFile));
+        }
+
+        const configuredBrands = new Set(versions.flatMap(({ config }) => Object.keys(config.brands || {})));
+        const unknownBrands = versions.length > 0 ? (brands || []).filter(id => !configuredBrands.has(id)) : [];
+        if (unknownBrands.length > 0) {
+            addError(`Unknown brand: ${unknownBrands.join(', ')} (configured: ${[...configuredBrands].join(', ') || 'none'})`);
+        }
+
+        // Validate each version namespace and its brands
+        const brandsBySourceDir = new Map();
+        for (const { id, config } of versions) {
+            if (versions.length > 1) emit({ level: 'info', message: `Version: ${id}` });
+
+            validatePresets(config);
+            validateCdn(config);
+            validateBudgets(config);
+            validateEncoding('defaults', config.defaults?.encoding);
+
+            for (const [brandId, brandConfig] of Object.entries(config.brands || {})) {
+                if (brands && !brands.includes(brandId)) continue;
+                emit({ level: 'info', message: `Validating: ${brandId}` });
+                await validateBrandDirectory(brandId, brandConfig, config);
+            }
+
+            const brandIds = brandsBySourceDir.get(config.sourceDir) || new Set();
+            Object.keys(config.brands || {}).forEach(brandId => brandIds.add(brandId));
+            brandsBySourceDir.set(config.sourceDir, brandIds);
+        }
+
+        // Check for orphaned directories
+        if (!brands) {
+            for (const [sourceDir, brandIds] of brandsBySourceDir) {
+                await checkOrphanedDirectories(sourceDir, brandIds);
+            }
+        }
+
+        return { ok: issues.errors.length === 0, errors: issues.errors, warnings: issues.warnings };
+    });
+}
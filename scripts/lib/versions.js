@@ -0,0 +1,73 @@
+/**
+ * Version Namespaces
+ *
+ * assets.config.json describes the namespace its `outputDir` ends in
+ * ("site/v1" -> v1). Further namespaces are listed under `versions`, either
+ * inline or as the path of their own config file:
+ *
+ *   "versions": {
+ *       "v2": "assets.config.v2.json",
+ *       "v3": { "sourceDir": "_source/v3", "brands": { ... } }
+ *   },
+ *   "defaultVersion": "v1"
+ *
+ * A version config is applied on top of the main config (top-level keys are
+ * replaced, not merged) and always builds into <site>/<version>/.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const VERSION_ID_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+// Keys that only make sense in the main config
+const MAIN_ONLY_KEYS = ['$schema', 'versions', 'defaultVersion'];
+
+function withoutMainKeys(config) {
+    return Object.fromEntries(Object.entries(config).filter(([key]) => !MAIN_ONLY_KEYS.includes(key)));
+}
+
+/**
+ * @param {object} config - Parsed assets.config.json
+ * @param {string} rootDir - Directory config file paths are relative to
+ * @returns {Promise<{siteDir: string, defaultVersion: string, versions: Array<{id: string, config: object}>}>}
+ *   `siteDir` is the directory all namespaces live in (relative to rootDir)
+ * @throws {Error} When a version id, config file or outputDir is invalid
+ */
+export async function resolveVersions(config, rootDir) {
+    const siteDir = path.dirname(config.outputDir);
+    const mainId = path.basename(config.outputDir);
+    const base = withoutMainKeys(config);
+    const versions = [{ id: mainId, config: base }];
+
+    for (const [id, entry] of Object.entries(config.versions || {})) {
+        if (!VERSION_ID_PATTERN.test(id)) {
+            throw new Error(`Invalid version id "${id}" (use letters, digits, dots and dashes)`);
+        }
+        if (versions.some(version => version.id === id)) {
+            throw new Error(`Version "${id}" is defined twice (the main config already builds ${mainId})`);
+        }
+
+        let overrides = entry;
+        if (typeof entry === 'string') {
+            try {
+                overrides = JSON.parse(await fs.readFile(path.join(rootDir, entry), 'utf-8'));
+            } catch (err) {
+                throw new Error(`Cannot read config for version "${id}" (${entry}): ${err.message}`);
+            }
+        }
+
+        const outputDir = path.join(siteDir, id);
+        if (overrides.outputDir && path.normalize(overrides.outputDir) !== outputDir) {
+            throw new Error(`Version "${id}" must build into ${outputDir}, not ${overrides.outputDir}`);
+        }
+        versions.push({ id, config: { ...base, ...withoutMainKeys(overrides), outputDir } });
+    }
+
+    const defaultVersion = config.defaultVersion || mainId;
+    if (!versions.some(version => version.id === defaultVersion)) {
+        throw new Error(`defaultVersion "${defaultVersion}" is not a configured version`);
+    }
+
+    return { siteDir, defaultVersion, versions };
+}
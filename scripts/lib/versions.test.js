@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { resolveVersions } from './versions.js';
+import { buildAssets } from './build.js';
+
+const config = {
+    $schema: './scripts/assets.config.schema.json',
+    sourceDir: '_source',
+    outputDir: 'site/v1',
+    brands: { acme: {} },
+};
+
+test('builds the main config into the namespace its outputDir ends in', async () => {
+    const index = await resolveVersions(config, '.');
+    assert.equal(index.siteDir, 'site');
+    assert.equal(index.defaultVersion, 'v1');
+    assert.deepEqual(index.versions.map(version => version.id), ['v1']);
+    assert.equal(index.versions[0].config.$schema, undefined);
+});
+
+test('applies inline versions on top of the main config', async () => {
+    const index = await resolveVersions({
+        ...config,
+        versions: { v2: { sourceDir: '_source/v2' } },
+        defaultVersion: 'v2',
+    }, '.');
+    const v2 = index.versions.find(version => version.id === 'v2');
+    assert.equal(index.defaultVersion, 'v2');
+    assert.deepEqual(v2.config, { sourceDir: '_source/v2', outputDir: path.join('site', 'v2'), brands: { acme: {} } });
+});
+
+test('reads versions from their own config file', async () => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'versions-'));
+    try {
+        await fs.writeFile(path.join(rootDir, 'assets.config.v2.json'), JSON.stringify({ brands: { beta: {} } }));
+        const index = await resolveVersions({ ...config, versions: { v2: 'assets.config.v2.json' } }, rootDir);
+        assert.deepEqual(index.versions[1].config.brands, { beta: {} });
+        await assert.rejects(
+            resolveVersions({ ...config, versions: { v3: 'missing.json' } }, rootDir),
+            /Cannot read config for version "v3" \(missing\.json\)/
+        );
+    } finally {
+        await fs.rm(rootDir, { recursive: true, force: true });
+    }
+});
+
+test('rejects invalid ids, duplicates, foreign output dirs and unknown defaults', async () => {
+    await assert.rejects(resolveVersions({ ...config, versions: { 'v 2': {} } }, '.'), /Invalid version id "v 2"/);
+    await assert.rejects(resolveVersions({ ...config, versions: { v1: {} } }, '.'), /defined twice/);
+    await assert.rejects(resolveVersions({ ...config, versions: { v2: { outputDir: 'site/v3' } } }, '.'), /must build into/);
+    await assert.rejects(resolveVersions({ ...config, defaultVersion: 'v9' }, '.'), /defaultVersion "v9"/);
+});
+
+test('build writes versions.json and the default manifest to the site root', async () => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'versions-'));
+    try {
+        await fs.mkdir(path.join(rootDir, '_source', 'brands', 'acme', 'logos'), { recursive: true });
+        await fs.writeFile(path.join(rootDir, '_source', 'brands', 'acme', 'logos', 'logo.svg'),
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><path d="M0 0h10v10H0z"/></svg>');
+
+        const result = await buildAssets({
+            rootDir,
+            config: {
+                sourceDir: '_source',
+                outputDir: 'site/v1',
+                brands: { acme: { logos: { formats: ['original'] } } },
+                versions: { v2: {} },
+                defaultVersion: 'v2',
+            },
+        });
+        assert.ok(result.ok, result.errors.join('\n'));
+        assert.equal(result.versionIndex, path.join('site', 'versions.json'));
+
+        const index = JSON.parse(await fs.readFile(path.join(rootDir, 'site', 'versions.json'), 'utf-8'));
+        assert.equal(index.default, 'v2');
+        assert.deepEqual(index.versions.map(({ id, manifest, brands }) => ({ id, manifest, brands })), [
+            { id: 'v1', manifest: 'v1/assets-manifest.json', brands: 1 },
+            { id: 'v2', manifest: 'v2/assets-manifest.json', brands: 1 },
+        ]);
+        assert.deepEqual(
+            await fs.readFile(path.join(rootDir, 'site', 'assets-manifest.json')),
+            await fs.readFile(path.join(rootDir, 'site', 'v2', 'assets-manifest.json'))
+        );
+    } finally {
+        await fs.rm(rootDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,110 @@
+/**
+ * Watch Mode
+ * Rebuilds assets when source files or config change
+ *
+ * Exposed through the Node API (scripts/api.js) as watchAssets(); the CLI's
+ * `watch` command prints its events.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { buildAssets } from './build.js';
+import { loadConfig } from './config.js';
+import { resolveVersions } from './versions.js';
+import { WATCHED_EXTENSIONS } from './formats.js';
+
+const DEBOUNCE_MS = 500;
+
+/**
+ * Source directories of every version namespace, the config file and the
+ * config files of versions that have their own
+ */
+async function getWatchPaths(options) {
+    const { rootDir, configPath, config } = await loadConfig(options);
+    const { versions } = await resolveVersions(config, rootDir);
+    const paths = new Set(versions.map(version => path.join(rootDir, version.config.sourceDir)));
+    if (configPath) paths.add(configPath);
+    for (const entry of Object.values(config.versions || {})) {
+        if (typeof entry === 'string') paths.add(path.join(rootDir, entry));
+    }
+    return { rootDir, paths: [...paths] };
+}
+
+/**
+ * Build once, then rebuild (debounced) whenever a watched file changes.
+ * Changes during a build trigger one more build after it.
+ *
+ * @param {object} [options] - buildAssets() options (rootDir, config, brands, versions, jobs, ref, onEvent...)
+ * @param {(result: object|null, error?: Error) => void} [options.onBuild] - Called after each build
+ * @returns {Promise<{paths: string[], close: () => void}>} Watched paths (relative to rootDir) and a function that stops watching
+ */
+export async function watchAssets({ onBuild = () => {}, ...options } = {}) {
+    const emit = options.onEvent || (() => {});
+    const { rootDir, paths } = await getWatchPaths(options);
+    const watchers = [];
+    let debounceTimer = null;
+    let building = false;
+    let pending = false;
+
+    async function runBuild() {
+        if (building) {
+            pending = true;
+            return;
+        }
+
+        building = true;
+        emit({ level: 'info', message: 'Building assets...' });
+        const startTime = Date.now();
+        try {
+            const result = await buildAssets(options);
+            const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+            emit(result.ok
+                ? { level: 'success', message: `Build completed in ${duration}s` }
+                : { level: 'error', message: `Build failed with ${result.errors.length} error${result.errors.length === 1 ? '' : 's'}` });
+            onBuild(result);
+        } catch (err) {
+            emit({ level: 'error', message: `Build error: ${err.message}` });
+            onBuild(null, err);
+        }
+        building = false;
+
+        if (pending) {
+            pending = false;
+            return runBuild();
+        }
+        emit({ level: 'watch', message: 'Watching for changes...' });
+    }
+
+    function debouncedBuild(changedFile) {
+        clearTimeout(debounceTimer);
+        emit({ level: 'info', message: `Changed: ${path.relative(rootDir, changedFile)}` });
+        debounceTimer = setTimeout(runBuild, DEBOUNCE_MS);
+    }
+
+    for (const watchPath of paths) {
+        try {
+            if (fs.statSync(watchPath).isDirectory()) {
+                watchers.push(fs.watch(watchPath, { recursive: true }, (eventType, filename) => {
+                    if (!filename || !WATCHED_EXTENSIONS.includes(path.extname(filename).toLowerCase())) return;
+                    debouncedBuild(path.join(watchPath, filename));
+                }));
+            } else {
+                watchers.push(fs.watch(watchPath, () => debouncedBuild(watchPath)));
+            }
+            emit({ level: 'watch', message: `Watching: ${path.relative(rootDir, watchPath)}` });
+        } catch (err) {
+            emit({ level: 'warn', message: `Cannot watch ${path.relative(rootDir, watchPath)}: ${err.message}` });
+        }
+    }
+
+    // Initial build
+    runBuild();
+
+    return {
+        paths: paths.map(watchPath => path.relative(rootDir, watchPath)),
+        close() {
+            clearTimeout(debounceTimer);
+            watchers.forEach(watcher => watcher.close());
+        },
+    };
+}
@@ -6,7 +6,7 @@ export default defineConfig({
     publicDir: '../site', // Serve site folder as public dir in dev
     build: {
         outDir: '../site',
-        emptyOutDir: false, // Keep generated image assets from generate-assets.js
+        emptyOutDir: false, // Keep generated image assets from `static-assets build`
         rollupOptions: {
             output: {
                 // Use consistent naming for cache busting